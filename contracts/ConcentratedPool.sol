@@ -0,0 +1,628 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./libraries/TickMath.sol";
+import "./libraries/LiquidityMath.sol";
+import "./libraries/TickBitmap.sol";
+
+/// @title ConcentratedPool - AMM with liquidity concentrated in price ranges
+/// @notice LPs open positions bounded by two ticks; a position only backs trades, and only earns
+///         fees, while the price is inside its range
+/// @dev The price is token B per token A, tracked as sqrt(price) in Q64.96. Swaps move through the
+///      active range like a constant product pool and cross into the next range at each initialized
+///      tick. Fees are tracked as fee growth per unit of liquidity, globally and outside each tick,
+///      so the fees earned inside any range can be derived without iterating positions
+contract ConcentratedPool is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using TickBitmap for mapping(int16 => uint256);
+    
+    // Fee configuration, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_SWAP_FEE = 100; // 1%
+    
+    uint256 internal constant Q128 = 1 << 128;
+    
+    // Per-tick state, only stored while some position uses the tick as a bound
+    struct Tick {
+        uint128 liquidityGross;         // total liquidity of positions bounded by this tick
+        int128 liquidityNet;            // liquidity added when the price crosses the tick upwards
+        uint256 feeGrowthOutsideAX128;  // fee growth on the other side of the tick from the price
+        uint256 feeGrowthOutsideBX128;
+    }
+    
+    struct Position {
+        address owner;
+        int24 tickLower;
+        int24 tickUpper;
+        uint128 liquidity;
+        uint256 feeGrowthInsideALastX128;
+        uint256 feeGrowthInsideBLastX128;
+        uint256 feesOwedA;
+        uint256 feesOwedB;
+    }
+    
+    address public immutable tokenA;
+    address public immutable tokenB;
+    uint256 public immutable swapFee;
+    int24 public immutable tickSpacing;
+    
+    // Current price, its tick and the liquidity of the positions in range
+    uint160 public sqrtPriceX96;
+    int24 public tick;
+    uint128 public liquidity;
+    
+    // Fees earned per unit of liquidity since deployment, in Q128.128
+    uint256 public feeGrowthGlobalAX128;
+    uint256 public feeGrowthGlobalBX128;
+    
+    mapping(int24 => Tick) public ticks;
+    mapping(int16 => uint256) public tickBitmap; // one bit per usable tick, see TickBitmap
+    
+    mapping(uint256 => Position) public positions;
+    uint256 public nextPositionId = 1;
+    
+    // Working state of a swap while it moves through ranges
+    struct SwapState {
+        uint256 remaining;          // input left to swap, including the fee
+        uint256 amountOut;
+        uint160 price;
+        int24 tick;
+        uint128 liquidity;
+        uint256 feeGrowthGlobal;    // of the input token
+    }
+    
+    // Events
+    event PositionOpened(
+        uint256 indexed positionId,
+        address indexed owner,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 liquidity,
+        uint256 amountA,
+        uint256 amountB
+    );
+    event LiquidityIncreased(uint256 indexed positionId, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event LiquidityDecreased(uint256 indexed positionId, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event FeesCollected(uint256 indexed positionId, address indexed recipient, uint256 amountA, uint256 amountB);
+    event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+    
+    modifier onlyPositionOwner(uint256 positionId) {
+        require(positions[positionId].owner == msg.sender, "Not position owner");
+        _;
+    }
+    
+    /// @notice Constructor to create a pool at a starting price
+    /// @param _tokenA Address of the base token
+    /// @param _tokenB Address of the quote token
+    /// @param _swapFee Swap fee in basis points
+    /// @param _tickSpacing Ticks usable as position bounds must be multiples of this
+    /// @param _sqrtPriceX96 Starting sqrt(price of A in B) in Q64.96
+    constructor(address _tokenA, address _tokenB, uint256 _swapFee, int24 _tickSpacing, uint160 _sqrtPriceX96) {
+        require(_tokenA != address(0) && _tokenB != address(0), "Invalid token address");
+        require(_tokenA != _tokenB, "Tokens must be different");
+        require(_swapFee <= MAX_SWAP_FEE, "Fee too high");
+        require(_tickSpacing > 0, "Invalid tick spacing");
+        
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        swapFee = _swapFee;
+        tickSpacing = _tickSpacing;
+        sqrtPriceX96 = _sqrtPriceX96;
+        tick = TickMath.getTickAtSqrtPrice(_sqrtPriceX96);
+    }
+    
+    /// @notice Open a new position over a price range
+    /// @dev Only the amounts backing the largest possible liquidity are pulled from the caller
+    /// @param tickLower Lower bound of the range, a multiple of tickSpacing
+    /// @param tickUpper Upper bound of the range, a multiple of tickSpacing
+    /// @param amountADesired Maximum amount of token A to deposit
+    /// @param amountBDesired Maximum amount of token B to deposit
+    /// @param amountAMin Minimum amount of token A that must be deposited
+    /// @param amountBMin Minimum amount of token B that must be deposited
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return positionId ID of the new position, owned by the caller
+    /// @return liquidityAdded Liquidity of the position
+    /// @return amountA Amount of token A deposited
+    /// @return amountB Amount of token B deposited
+    function openPosition(
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 positionId, uint128 liquidityAdded, uint256 amountA, uint256 amountB)
+    {
+        require(tickLower < tickUpper, "Invalid tick range");
+        require(tickLower >= TickMath.MIN_TICK && tickUpper <= TickMath.MAX_TICK, "Tick out of range");
+        require(tickLower % tickSpacing == 0 && tickUpper % tickSpacing == 0, "Tick not aligned");
+        
+        positionId = nextPositionId++;
+        Position storage position = positions[positionId];
+        position.owner = msg.sender;
+        position.tickLower = tickLower;
+        position.tickUpper = tickUpper;
+        
+        (liquidityAdded, amountA, amountB) = _addLiquidity(
+            position, amountADesired, amountBDesired, amountAMin, amountBMin
+        );
+        emit PositionOpened(positionId, msg.sender, tickLower, tickUpper, liquidityAdded, amountA, amountB);
+    }
+    
+    /// @notice Add liquidity to an existing position
+    /// @param positionId ID of a position owned by the caller
+    /// @param amountADesired Maximum amount of token A to deposit
+    /// @param amountBDesired Maximum amount of token B to deposit
+    /// @param amountAMin Minimum amount of token A that must be deposited
+    /// @param amountBMin Minimum amount of token B that must be deposited
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return liquidityAdded Liquidity added to the position
+    /// @return amountA Amount of token A deposited
+    /// @return amountB Amount of token B deposited
+    function increaseLiquidity(
+        uint256 positionId,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        onlyPositionOwner(positionId)
+        returns (uint128 liquidityAdded, uint256 amountA, uint256 amountB)
+    {
+        (liquidityAdded, amountA, amountB) = _addLiquidity(
+            positions[positionId], amountADesired, amountBDesired, amountAMin, amountBMin
+        );
+        emit LiquidityIncreased(positionId, liquidityAdded, amountA, amountB);
+    }
+    
+    /// @notice Withdraw principal from a position
+    /// @dev Fees earned so far stay in the position and are withdrawn with collectFees
+    /// @param positionId ID of a position owned by the caller
+    /// @param liquidityAmount Liquidity to remove
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function decreaseLiquidity(
+        uint256 positionId,
+        uint128 liquidityAmount,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        onlyPositionOwner(positionId)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        Position storage position = positions[positionId];
+        require(liquidityAmount > 0, "Amount must be greater than 0");
+        require(liquidityAmount <= position.liquidity, "Insufficient liquidity");
+        
+        (amountA, amountB) = _modifyPosition(position, -SafeCast.toInt128(int256(uint256(liquidityAmount))));
+        require(amountA >= amountAMin, "Insufficient A amount");
+        require(amountB >= amountBMin, "Insufficient B amount");
+        
+        if (amountA > 0) IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransfer(msg.sender, amountB);
+        emit LiquidityDecreased(positionId, liquidityAmount, amountA, amountB);
+    }
+    
+    /// @notice Withdraw the fees a position has earned, leaving its principal in place
+    /// @param positionId ID of a position owned by the caller
+    /// @return amountA Fees paid out in token A
+    /// @return amountB Fees paid out in token B
+    function collectFees(uint256 positionId)
+        external
+        nonReentrant
+        onlyPositionOwner(positionId)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        Position storage position = positions[positionId];
+        _accrueFees(position);
+        
+        amountA = position.feesOwedA;
+        amountB = position.feesOwedB;
+        position.feesOwedA = 0;
+        position.feesOwedB = 0;
+        
+        if (amountA > 0) IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransfer(msg.sender, amountB);
+        emit FeesCollected(positionId, msg.sender, amountA, amountB);
+    }
+    
+    /// @notice Swap an exact amount of token A for token B
+    /// @param amountAIn Amount of token A to sell
+    /// @param minAmountOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapAForB(uint256 amountAIn, uint256 minAmountOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        amountBOut = _swap(true, amountAIn, minAmountOut);
+    }
+    
+    /// @notice Swap an exact amount of token B for token A
+    /// @param amountBIn Amount of token B to sell
+    /// @param minAmountOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapBForA(uint256 amountBIn, uint256 minAmountOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        amountAOut = _swap(false, amountBIn, minAmountOut);
+    }
+    
+    /// @notice Fees a position could collect right now
+    /// @param positionId ID of the position
+    /// @return amountA Uncollected fees in token A
+    /// @return amountB Uncollected fees in token B
+    function pendingFees(uint256 positionId) external view returns (uint256 amountA, uint256 amountB) {
+        Position storage position = positions[positionId];
+        (uint256 insideA, uint256 insideB) = _feeGrowthInside(position.tickLower, position.tickUpper);
+        unchecked {
+            amountA = position.feesOwedA
+                + Math.mulDiv(insideA - position.feeGrowthInsideALastX128, position.liquidity, Q128);
+            amountB = position.feesOwedB
+                + Math.mulDiv(insideB - position.feeGrowthInsideBLastX128, position.liquidity, Q128);
+        }
+    }
+    
+    /// @notice Token amounts currently backing a position, excluding fees
+    /// @param positionId ID of the position
+    /// @return amountA Amount of token A returned if all liquidity were removed now
+    /// @return amountB Amount of token B returned if all liquidity were removed now
+    function getPositionAmounts(uint256 positionId) external view returns (uint256 amountA, uint256 amountB) {
+        Position storage position = positions[positionId];
+        return _amountsForLiquidity(position.tickLower, position.tickUpper, position.liquidity, false);
+    }
+    
+    /// @notice Price of token A in token B, scaled by 1e18
+    /// @return price Current price
+    function getPrice() external view returns (uint256 price) {
+        price = Math.mulDiv(Math.mulDiv(sqrtPriceX96, sqrtPriceX96, LiquidityMath.Q96), 1e18, LiquidityMath.Q96);
+    }
+    
+    /// @notice Every tick currently bounding at least one position, in ascending order
+    /// @dev Scans the whole bitmap, so it is meant for off-chain callers
+    /// @return initialized Initialized ticks
+    function getInitializedTicks() external view returns (int24[] memory initialized) {
+        int16 firstWord = int16((TickMath.MIN_TICK / tickSpacing) >> 8);
+        int16 lastWord = int16((TickMath.MAX_TICK / tickSpacing) >> 8);
+        
+        uint256 count;
+        for (int16 wordPos = firstWord; wordPos <= lastWord; wordPos++) {
+            for (uint256 word = tickBitmap[wordPos]; word != 0; word &= word - 1) {
+                count++;
+            }
+        }
+        
+        initialized = new int24[](count);
+        uint256 index;
+        for (int16 wordPos = firstWord; wordPos <= lastWord && index < count; wordPos++) {
+            uint256 word = tickBitmap[wordPos];
+            for (uint256 bitPos = 0; word != 0; bitPos++) {
+                if (word & (1 << bitPos) != 0) {
+                    initialized[index++] = (int24(wordPos) * 256 + int24(uint24(bitPos))) * tickSpacing;
+                    word ^= 1 << bitPos;
+                }
+            }
+        }
+    }
+    
+    /// @notice Compute liquidity for the desired amounts, book it and pull the tokens
+    function _addLiquidity(
+        Position storage position,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin
+    ) internal returns (uint128 liquidityAdded, uint256 amountA, uint256 amountB) {
+        liquidityAdded = LiquidityMath.getLiquidityForAmounts(
+            sqrtPriceX96,
+            TickMath.getSqrtPriceAtTick(position.tickLower),
+            TickMath.getSqrtPriceAtTick(position.tickUpper),
+            amountADesired,
+            amountBDesired
+        );
+        require(liquidityAdded > 0, "Insufficient liquidity minted");
+        
+        (amountA, amountB) = _modifyPosition(position, SafeCast.toInt128(int256(uint256(liquidityAdded))));
+        require(amountA >= amountAMin, "Insufficient A amount");
+        require(amountB >= amountBMin, "Insufficient B amount");
+        
+        if (amountA > 0) IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
+    }
+    
+    /// @notice Apply a liquidity change to a position, its ticks and the active liquidity
+    /// @param position Position to update
+    /// @param liquidityDelta Liquidity to add (positive) or remove (negative)
+    /// @return amountA Token A owed to the pool when adding, or to the owner when removing
+    /// @return amountB Token B owed to the pool when adding, or to the owner when removing
+    function _modifyPosition(Position storage position, int128 liquidityDelta)
+        internal
+        returns (uint256 amountA, uint256 amountB)
+    {
+        int24 tickLower = position.tickLower;
+        int24 tickUpper = position.tickUpper;
+        
+        _updateTick(tickLower, liquidityDelta, false);
+        _updateTick(tickUpper, liquidityDelta, true);
+        
+        // Settle fees at the old liquidity before changing it
+        _accrueFees(position);
+        position.liquidity = _addDelta(position.liquidity, liquidityDelta);
+        
+        if (tick >= tickLower && tick < tickUpper) {
+            liquidity = _addDelta(liquidity, liquidityDelta);
+        }
+        
+        if (liquidityDelta < 0) {
+            _clearTickIfUnused(tickLower);
+            _clearTickIfUnused(tickUpper);
+        }
+        
+        uint128 absDelta = uint128(liquidityDelta < 0 ? -liquidityDelta : liquidityDelta);
+        (amountA, amountB) = _amountsForLiquidity(tickLower, tickUpper, absDelta, liquidityDelta > 0);
+    }
+    
+    /// @notice Token amounts backing `liquidityAmount` over a range at the current price
+    function _amountsForLiquidity(int24 tickLower, int24 tickUpper, uint128 liquidityAmount, bool roundUp)
+        internal
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        uint160 sqrtPriceLower = TickMath.getSqrtPriceAtTick(tickLower);
+        uint160 sqrtPriceUpper = TickMath.getSqrtPriceAtTick(tickUpper);
+        
+        if (tick < tickLower) {
+            amountA = LiquidityMath.getAmountADelta(sqrtPriceLower, sqrtPriceUpper, liquidityAmount, roundUp);
+        } else if (tick < tickUpper) {
+            amountA = LiquidityMath.getAmountADelta(sqrtPriceX96, sqrtPriceUpper, liquidityAmount, roundUp);
+            amountB = LiquidityMath.getAmountBDelta(sqrtPriceLower, sqrtPriceX96, liquidityAmount, roundUp);
+        } else {
+            amountB = LiquidityMath.getAmountBDelta(sqrtPriceLower, sqrtPriceUpper, liquidityAmount, roundUp);
+        }
+    }
+    
+    /// @notice Credit the fees earned inside the position's range since its last update
+    function _accrueFees(Position storage position) internal {
+        (uint256 insideA, uint256 insideB) = _feeGrowthInside(position.tickLower, position.tickUpper);
+        
+        // Fee growth values wrap around by design; only their differences are meaningful
+        unchecked {
+            position.feesOwedA += Math.mulDiv(insideA - position.feeGrowthInsideALastX128, position.liquidity, Q128);
+            position.feesOwedB += Math.mulDiv(insideB - position.feeGrowthInsideBLastX128, position.liquidity, Q128);
+        }
+        position.feeGrowthInsideALastX128 = insideA;
+        position.feeGrowthInsideBLastX128 = insideB;
+    }
+    
+    /// @notice Fee growth per unit of liquidity inside a range
+    function _feeGrowthInside(int24 tickLower, int24 tickUpper)
+        internal
+        view
+        returns (uint256 insideA, uint256 insideB)
+    {
+        Tick storage lower = ticks[tickLower];
+        Tick storage upper = ticks[tickUpper];
+        uint256 globalA = feeGrowthGlobalAX128;
+        uint256 globalB = feeGrowthGlobalBX128;
+        
+        unchecked {
+            (uint256 belowA, uint256 belowB) = tick >= tickLower
+                ? (lower.feeGrowthOutsideAX128, lower.feeGrowthOutsideBX128)
+                : (globalA - lower.feeGrowthOutsideAX128, globalB - lower.feeGrowthOutsideBX128);
+            (uint256 aboveA, uint256 aboveB) = tick < tickUpper
+                ? (upper.feeGrowthOutsideAX128, upper.feeGrowthOutsideBX128)
+                : (globalA - upper.feeGrowthOutsideAX128, globalB - upper.feeGrowthOutsideBX128);
+            insideA = globalA - belowA - aboveA;
+            insideB = globalB - belowB - aboveB;
+        }
+    }
+    
+    /// @notice Add a liquidity change to a tick, initializing it on first use
+    /// @param tickIndex Tick to update
+    /// @param liquidityDelta Liquidity added to (or removed from) positions bounded by the tick
+    /// @param upper Whether the tick is the upper bound of the position
+    function _updateTick(int24 tickIndex, int128 liquidityDelta, bool upper) internal {
+        Tick storage info = ticks[tickIndex];
+        
+        if (info.liquidityGross == 0) {
+            // By convention all fee growth so far happened below the tick if the price is at or above it
+            if (tickIndex <= tick) {
+                info.feeGrowthOutsideAX128 = feeGrowthGlobalAX128;
+                info.feeGrowthOutsideBX128 = feeGrowthGlobalBX128;
+            }
+            tickBitmap.flipTick(tickIndex, tickSpacing);
+        }
+        
+        info.liquidityGross = _addDelta(info.liquidityGross, liquidityDelta);
+        info.liquidityNet = upper ? info.liquidityNet - liquidityDelta : info.liquidityNet + liquidityDelta;
+    }
+    
+    /// @notice Delete a tick once no position uses it as a bound
+    function _clearTickIfUnused(int24 tickIndex) internal {
+        if (ticks[tickIndex].liquidityGross != 0) return;
+        
+        delete ticks[tickIndex];
+        tickBitmap.flipTick(tickIndex, tickSpacing);
+    }
+    
+    /// @notice Execute an exact-input swap across as many ranges as needed
+    /// @param aForB True to sell token A for token B, false for the reverse
+    /// @param amountIn Amount of the input token
+    /// @param minAmountOut Minimum amount of the output token
+    /// @return amountOut Amount of the output token sent to the caller
+    function _swap(bool aForB, uint256 amountIn, uint256 minAmountOut) internal returns (uint256 amountOut) {
+        require(amountIn > 0, "Amount must be greater than 0");
+        
+        SwapState memory state = SwapState({
+            remaining: amountIn,
+            amountOut: 0,
+            price: sqrtPriceX96,
+            tick: tick,
+            liquidity: liquidity,
+            feeGrowthGlobal: aForB ? feeGrowthGlobalAX128 : feeGrowthGlobalBX128
+        });
+        while (state.remaining > 0) {
+            _swapStep(state, aForB);
+        }
+        
+        amountOut = state.amountOut;
+        require(amountOut > 0, "Insufficient output amount");
+        require(amountOut >= minAmountOut, "Output below minimum");
+        
+        sqrtPriceX96 = state.price;
+        tick = state.tick;
+        liquidity = state.liquidity;
+        if (aForB) {
+            feeGrowthGlobalAX128 = state.feeGrowthGlobal;
+        } else {
+            feeGrowthGlobalBX128 = state.feeGrowthGlobal;
+        }
+        
+        (address tokenIn, address tokenOut) = aForB ? (tokenA, tokenB) : (tokenB, tokenA);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut);
+    }
+    
+    /// @notice Swap within the current range, up to the next initialized tick or the end of the
+    ///         current bitmap word, and cross the tick if it is initialized and reached
+    /// @param state In-progress swap, updated in place
+    /// @param aForB Whether the price is falling
+    function _swapStep(SwapState memory state, bool aForB) internal {
+        (int24 nextTick, bool initialized) = tickBitmap.nextInitializedTickWithinOneWord(
+            state.tick, tickSpacing, aForB
+        );
+        if (nextTick < TickMath.MIN_TICK) {
+            nextTick = TickMath.MIN_TICK;
+        } else if (nextTick > TickMath.MAX_TICK) {
+            nextTick = TickMath.MAX_TICK;
+        }
+        uint160 target = TickMath.getSqrtPriceAtTick(nextTick);
+        
+        (uint160 nextPrice, uint256 stepIn, uint256 stepOut, uint256 stepFee) = _computeSwapStep(
+            aForB, state.price, target, state.liquidity, state.remaining
+        );
+        state.remaining -= stepIn + stepFee;
+        state.amountOut += stepOut;
+        if (state.liquidity > 0) {
+            unchecked {
+                state.feeGrowthGlobal += Math.mulDiv(stepFee, Q128, state.liquidity);
+            }
+        }
+        
+        if (nextPrice == target) {
+            if (initialized) {
+                state.liquidity = _crossTick(nextTick, aForB, state.feeGrowthGlobal, state.liquidity);
+            } else {
+                // Reaching the price bound means every range in this direction was used up
+                require(nextTick != TickMath.MIN_TICK && nextTick != TickMath.MAX_TICK, "Insufficient liquidity");
+            }
+            state.tick = aForB ? nextTick - 1 : nextTick;
+        } else if (nextPrice != state.price) {
+            state.tick = TickMath.getTickAtSqrtPrice(nextPrice);
+        }
+        state.price = nextPrice;
+    }
+    
+    /// @notice Price and amounts for swapping within one range, towards `target`
+    /// @param aForB Whether the price is falling
+    /// @param price Current price
+    /// @param target Price at the next initialized tick, or the price bound
+    /// @param activeLiquidity Liquidity in range
+    /// @param remaining Input still to be swapped, including the fee
+    /// @return nextPrice Price after the step, equal to `target` if the range was exhausted
+    /// @return amountIn Input used by the step, excluding the fee
+    /// @return amountOut Output of the step
+    /// @return feeAmount Fee charged on the step's input
+    function _computeSwapStep(bool aForB, uint160 price, uint160 target, uint128 activeLiquidity, uint256 remaining)
+        internal
+        view
+        returns (uint160 nextPrice, uint256 amountIn, uint256 amountOut, uint256 feeAmount)
+    {
+        uint256 remainingLessFee = Math.mulDiv(remaining, FEE_DENOMINATOR - swapFee, FEE_DENOMINATOR);
+        uint256 amountInToTarget = aForB
+            ? LiquidityMath.getAmountADelta(target, price, activeLiquidity, true)
+            : LiquidityMath.getAmountBDelta(price, target, activeLiquidity, true);
+        
+        if (remainingLessFee >= amountInToTarget) {
+            nextPrice = target;
+            amountIn = amountInToTarget;
+        } else {
+            nextPrice = aForB
+                ? LiquidityMath.getNextSqrtPriceFromAmountA(price, activeLiquidity, remainingLessFee)
+                : LiquidityMath.getNextSqrtPriceFromAmountB(price, activeLiquidity, remainingLessFee);
+            amountIn = aForB
+                ? LiquidityMath.getAmountADelta(nextPrice, price, activeLiquidity, true)
+                : LiquidityMath.getAmountBDelta(price, nextPrice, activeLiquidity, true);
+        }
+        
+        amountOut = aForB
+            ? LiquidityMath.getAmountBDelta(nextPrice, price, activeLiquidity, false)
+            : LiquidityMath.getAmountADelta(price, nextPrice, activeLiquidity, false);
+        
+        // A step that stops inside the range consumes the whole remainder, so the rest is fee
+        feeAmount = nextPrice == target
+            ? Math.mulDiv(amountIn, swapFee, FEE_DENOMINATOR - swapFee, Math.Rounding.Up)
+            : remaining - amountIn;
+    }
+    
+    /// @notice Move a tick's outside fee growth to the other side and apply its liquidity change
+    /// @param tickIndex Tick being crossed
+    /// @param aForB Whether the price is falling
+    /// @param feeGrowthGlobal Up-to-date global fee growth of the swap's input token
+    /// @param activeLiquidity Liquidity in range before the crossing
+    /// @return Liquidity in range after the crossing
+    function _crossTick(int24 tickIndex, bool aForB, uint256 feeGrowthGlobal, uint128 activeLiquidity)
+        internal
+        returns (uint128)
+    {
+        Tick storage info = ticks[tickIndex];
+        (uint256 globalA, uint256 globalB) = aForB
+            ? (feeGrowthGlobal, feeGrowthGlobalBX128)
+            : (feeGrowthGlobalAX128, feeGrowthGlobal);
+        unchecked {
+            info.feeGrowthOutsideAX128 = globalA - info.feeGrowthOutsideAX128;
+            info.feeGrowthOutsideBX128 = globalB - info.feeGrowthOutsideBX128;
+        }
+        
+        // liquidityNet is defined for upward crossings, so a falling price applies its negation
+        return _addDelta(activeLiquidity, aForB ? -info.liquidityNet : info.liquidityNet);
+    }
+    
+    /// @notice Add a signed delta to a liquidity amount, reverting on underflow or overflow
+    function _addDelta(uint128 x, int128 delta) internal pure returns (uint128) {
+        return delta < 0 ? x - uint128(-delta) : x + uint128(delta);
+    }
+}
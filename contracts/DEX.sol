@@ -2,73 +2,225 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IDEXFlashCallee.sol";
 
 /// @title DEX - Decentralized Exchange using Automated Market Maker
 /// @notice This contract implements a simplified AMM similar to Uniswap V2
-contract DEX is ReentrancyGuard {
+/// @dev The contract is itself the ERC20 LP token of the pool, with EIP-2612 permit. The pricing
+///      curve lives in the virtual quote, spot price, flash invariant and zap functions, so a
+///      pool variant only needs to override those
+contract DEX is ERC20Permit, AccessControl, ReentrancyGuard, Pausable {
     using SafeERC20 for IERC20;
 
+    // Roles
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
+    // Fee configuration, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_SWAP_FEE = 100; // 1%
+    uint256 public constant MAX_PROTOCOL_FEE_SHARE = 5000; // 50% of the swap fee
+    
+    // LP tokens permanently locked on the first deposit so the share price cannot be inflated
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
     // State variables
     address public tokenA;
     address public tokenB;
     uint256 public reserveA;
     uint256 public reserveB;
-    uint256 public totalLiquidity;
-    mapping(address => uint256) public liquidity;
+    uint256 public swapFee = 30; // 0.3%
+    uint256 public protocolFeeShare; // share of swapFee kept by the protocol, 0 = off
+    address public feeRecipient;
+    uint256 public protocolFeesA;
+    uint256 public protocolFeesB;
+    address public migrationTarget; // pool LPs may move their liquidity to, 0 = none
+    
+    // Price oracle: ring buffer of running sums of getPrice() weighted by seconds elapsed.
+    // The sums are allowed to wrap around 2^216, only differences between them are used
+    struct Observation {
+        uint40 timestamp;
+        uint216 priceCumulative;
+    }
+    uint256 public constant OBSERVATION_CARDINALITY = 512; // > 1.5 hours of 12-second blocks
+    Observation[OBSERVATION_CARDINALITY] public observations;
+    uint16 public observationIndex; // slot holding the latest observation
+    uint16 public observationCount; // slots written so far, up to OBSERVATION_CARDINALITY
+    
+    // EIP-2612 signature for the ...WithPermit entry points
+    struct PermitSignature {
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
     
     // Events - MUST emit these
     event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
     event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
     event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event SwapFeeUpdated(uint256 oldFee, uint256 newFee);
+    event ProtocolFeeShareUpdated(uint256 oldShare, uint256 newShare);
+    event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+    event ProtocolFeesCollected(address indexed recipient, uint256 amountA, uint256 amountB);
+    event Sync(uint256 reserveA, uint256 reserveB);
+    event MigrationTargetUpdated(address indexed oldTarget, address indexed newTarget);
+    event Migrated(address indexed provider, address indexed newPool, uint256 liquidityBurned, uint256 liquidityMinted);
+    event FlashSwap(
+        address indexed initiator,
+        address indexed to,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        uint256 amountAIn,
+        uint256 amountBIn
+    );
+    
+    /// @notice Reverts once the caller-supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        _checkDeadline(deadline);
+        _;
+    }
     
     /// @notice Initialize the DEX with two token addresses
+    /// @dev The deployer receives the admin, fee manager and guardian roles
     /// @param _tokenA Address of first token
     /// @param _tokenB Address of second token
-    constructor(address _tokenA, address _tokenB) {
+    constructor(address _tokenA, address _tokenB) ERC20("DEX LP Token", "DEX-LP") ERC20Permit("DEX LP Token") {
         require(_tokenA != address(0) && _tokenB != address(0), "Invalid token address");
         require(_tokenA != _tokenB, "Tokens must be different");
         tokenA = _tokenA;
         tokenB = _tokenB;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
     }
     
     /// @notice Add liquidity to the pool
-    /// @param amountA Amount of token A to add
-    /// @param amountB Amount of token B to add
+    /// @dev After the first deposit, only the amounts matching the pool ratio are pulled;
+    ///      the excess of the other token stays with the caller
+    /// @param amountA Maximum amount of token A to add
+    /// @param amountB Maximum amount of token B to add
     /// @return liquidityMinted Amount of LP tokens minted
     function addLiquidity(uint256 amountA, uint256 amountB) 
         external 
         nonReentrant
+        whenNotPaused
         returns (uint256 liquidityMinted) 
     {
-        require(amountA > 0 && amountB > 0, "Amounts must be greater than 0");
-        
-        if (totalLiquidity == 0) {
-            // First liquidity provider - can set any ratio
-            liquidityMinted = sqrt(amountA * amountB);
-            require(liquidityMinted > 0, "Insufficient liquidity minted");
-        } else {
-            // Subsequent liquidity additions must maintain ratio
-            uint256 liquidityA = (amountA * totalLiquidity) / reserveA;
-            uint256 liquidityB = (amountB * totalLiquidity) / reserveB;
-            
-            // Use the smaller amount to maintain ratio
-            liquidityMinted = liquidityA < liquidityB ? liquidityA : liquidityB;
-            require(liquidityMinted > 0, "Insufficient liquidity minted");
-        }
+        (amountA, amountB) = _optimalAmounts(amountA, amountB, 0, 0);
+        liquidityMinted = _addLiquidity(amountA, amountB, 0, 0);
+    }
+    
+    /// @notice Add liquidity at the current pool ratio with slippage and deadline protection
+    /// @dev Only the amounts matching the pool ratio are pulled from the caller
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be deposited
+    /// @param amountBMin Minimum amount of token B that must be deposited
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A deposited
+    /// @return amountB Amount of token B deposited
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityWithSlippage(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, amountAMin, amountBMin);
+        liquidityMinted = _addLiquidity(amountA, amountB, amountAMin, amountBMin);
+    }
+    
+    /// @notice Approve both tokens by signature and add liquidity in one transaction
+    /// @dev Each permit grants the desired amount; `deadline` bounds both the signatures and the call.
+    ///      Only the amounts matching the pool ratio are pulled, and the pool cannot lower an
+    ///      allowance it was given, so the unused part of one permit stays approved to the pool
+    ///      until the caller spends or revokes it
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be deposited
+    /// @param amountBMin Minimum amount of token B that must be deposited
+    /// @param deadline Unix timestamp after which the transaction and permits expire
+    /// @param permitA Caller's permit signature for token A
+    /// @param permitB Caller's permit signature for token B
+    /// @return amountA Amount of token A deposited
+    /// @return amountB Amount of token B deposited
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityWithPermit(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline,
+        PermitSignature calldata permitA,
+        PermitSignature calldata permitB
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        _permit(tokenA, amountADesired, deadline, permitA);
+        _permit(tokenB, amountBDesired, deadline, permitB);
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, amountAMin, amountBMin);
+        liquidityMinted = _addLiquidity(amountA, amountB, amountAMin, amountBMin);
+    }
+    
+    /// @notice Provide liquidity from a single token
+    /// @dev Swaps the fraction of `amountIn` that leaves the remainder at the post-swap pool
+    ///      ratio, deposits both sides and refunds any rounding dust
+    /// @param tokenIn Address of the token being deposited (tokenA or tokenB)
+    /// @param amountIn Amount of `tokenIn` to deposit
+    /// @param minLiquidity Minimum amount of LP tokens to mint
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return liquidityMinted Amount of LP tokens minted
+    function zapIn(address tokenIn, uint256 amountIn, uint256 minLiquidity, uint256 deadline)
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 liquidityMinted)
+    {
+        bool aForB = tokenIn == tokenA;
+        require(aForB || tokenIn == tokenB, "Invalid token");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
         
-        // Transfer tokens from user to contract
-        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
-        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
+        amountIn = _pullToken(tokenIn, amountIn);
+        uint256 swapAmount = _zapSwapAmount(amountIn, aForB ? reserveA : reserveB);
+        uint256 amountOut = _swapReserves(aForB, swapAmount);
         
-        // Update state
-        liquidity[msg.sender] += liquidityMinted;
-        totalLiquidity += liquidityMinted;
-        reserveA += amountA;
-        reserveB += amountB;
+        // Deposit the unswapped input alongside the swap output at the new ratio
+        (uint256 desiredA, uint256 desiredB) = aForB
+            ? (amountIn - swapAmount, amountOut)
+            : (amountOut, amountIn - swapAmount);
+        (uint256 amountA, uint256 amountB) = _optimalAmounts(desiredA, desiredB, 0, 0);
+        liquidityMinted = _mintLiquidity(amountA, amountB);
+        require(liquidityMinted >= minLiquidity, "Liquidity below minimum");
         
-        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+        // Refund rounding dust
+        if (desiredA > amountA) {
+            IERC20(tokenA).safeTransfer(msg.sender, desiredA - amountA);
+        }
+        if (desiredB > amountB) {
+            IERC20(tokenB).safeTransfer(msg.sender, desiredB - amountB);
+        }
     }
     
     /// @notice Remove liquidity from the pool
@@ -80,26 +232,100 @@ contract DEX is ReentrancyGuard {
         nonReentrant
         returns (uint256 amountA, uint256 amountB) 
     {
-        require(liquidityAmount > 0, "Amount must be greater than 0");
-        require(liquidity[msg.sender] >= liquidityAmount, "Insufficient liquidity");
-        
-        // Calculate proportional amounts
-        amountA = (liquidityAmount * reserveA) / totalLiquidity;
-        amountB = (liquidityAmount * reserveB) / totalLiquidity;
+        (amountA, amountB) = _removeLiquidity(msg.sender, liquidityAmount, 0, 0);
+    }
+    
+    /// @notice Remove liquidity with slippage and deadline protection
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidityWithSlippage(
+        uint256 liquidityAmount,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _removeLiquidity(msg.sender, liquidityAmount, amountAMin, amountBMin);
+    }
+    
+    /// @notice Remove liquidity on behalf of a provider who signed an LP token permit
+    /// @dev Lets a relayer pay the gas; the withdrawn tokens always go to `provider`
+    /// @param provider Owner of the LP tokens who signed the permit
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction and permit expire
+    /// @param sig Provider's permit signature granting the caller `liquidityAmount`
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidityWithPermit(
+        address provider,
+        uint256 liquidityAmount,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline,
+        PermitSignature calldata sig
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        // A permit already submitted by someone else has set the allowance; _spendAllowance still enforces it
+        try this.permit(provider, msg.sender, liquidityAmount, deadline, sig.v, sig.r, sig.s) {} catch {}
+        _spendAllowance(provider, msg.sender, liquidityAmount);
+        (amountA, amountB) = _removeLiquidity(provider, liquidityAmount, amountAMin, amountBMin);
+    }
+    
+    /// @notice Move the caller's liquidity into the pool set as the migration target
+    /// @dev Burns `liquidityAmount` LP tokens, deposits the underlying tokens into the new pool
+    ///      at its current ratio and sends the new LP tokens to the caller. Whatever does not
+    ///      match the new pool's ratio is refunded. Stays available while the pool is paused
+    /// @param liquidityAmount Amount of LP tokens to migrate
+    /// @param amountAMin Minimum amount of token A that must be deposited into the new pool
+    /// @param amountBMin Minimum amount of token B that must be deposited into the new pool
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return liquidityMinted Amount of new pool LP tokens received
+    function migrate(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 liquidityMinted)
+    {
+        address target = migrationTarget;
+        require(target != address(0), "Migration not enabled");
         
-        require(amountA > 0 && amountB > 0, "Insufficient amounts");
+        (uint256 amountA, uint256 amountB) = _burnLiquidity(msg.sender, liquidityAmount, 0, 0);
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
         
-        // Update state
-        liquidity[msg.sender] -= liquidityAmount;
-        totalLiquidity -= liquidityAmount;
-        reserveA -= amountA;
-        reserveB -= amountB;
+        IERC20(tokenA).forceApprove(target, amountA);
+        IERC20(tokenB).forceApprove(target, amountB);
+        uint256 depositedA;
+        uint256 depositedB;
+        (depositedA, depositedB, liquidityMinted) = DEX(target).addLiquidityWithSlippage(
+            amountA, amountB, amountAMin, amountBMin, deadline
+        );
         
-        // Transfer tokens to user
-        IERC20(tokenA).safeTransfer(msg.sender, amountA);
-        IERC20(tokenB).safeTransfer(msg.sender, amountB);
+        // Refund what the new pool did not take and clear its leftover allowance
+        if (amountA > depositedA) {
+            IERC20(tokenA).forceApprove(target, 0);
+            IERC20(tokenA).safeTransfer(msg.sender, amountA - depositedA);
+        }
+        if (amountB > depositedB) {
+            IERC20(tokenB).forceApprove(target, 0);
+            IERC20(tokenB).safeTransfer(msg.sender, amountB - depositedB);
+        }
+        IERC20(target).safeTransfer(msg.sender, liquidityMinted);
         
-        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+        emit Migrated(msg.sender, target, liquidityAmount, liquidityMinted);
     }
     
     /// @notice Swap token A for token B
@@ -108,25 +334,47 @@ contract DEX is ReentrancyGuard {
     function swapAForB(uint256 amountAIn) 
         external 
         nonReentrant
+        whenNotPaused
         returns (uint256 amountBOut) 
     {
-        require(amountAIn > 0, "Amount must be greater than 0");
-        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
-        
-        // Calculate output amount with fee
-        amountBOut = getAmountOut(amountAIn, reserveA, reserveB);
-        require(amountBOut > 0, "Insufficient output amount");
-        require(amountBOut < reserveB, "Insufficient reserve");
-        
-        // Transfer tokens
-        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountAIn);
-        IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
-        
-        // Update reserves
-        reserveA += amountAIn;
-        reserveB -= amountBOut;
-        
-        emit Swap(msg.sender, tokenA, tokenB, amountAIn, amountBOut);
+        amountBOut = _swap(true, amountAIn, 0);
+    }
+    
+    /// @notice Swap token A for token B with slippage and deadline protection
+    /// @param amountAIn Amount of token A to swap
+    /// @param minAmountOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapAForBWithSlippage(uint256 amountAIn, uint256 minAmountOut, uint256 deadline)
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        amountBOut = _swap(true, amountAIn, minAmountOut);
+    }
+    
+    /// @notice Approve token A by signature and swap it for token B in one transaction
+    /// @param amountAIn Amount of token A to swap; also the permitted allowance
+    /// @param minAmountOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction and permit expire
+    /// @param sig Caller's permit signature for token A
+    /// @return amountBOut Amount of token B received
+    function swapAForBWithPermit(
+        uint256 amountAIn,
+        uint256 minAmountOut,
+        uint256 deadline,
+        PermitSignature calldata sig
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        _permit(tokenA, amountAIn, deadline, sig);
+        amountBOut = _swap(true, amountAIn, minAmountOut);
     }
     
     /// @notice Swap token B for token A
@@ -135,32 +383,211 @@ contract DEX is ReentrancyGuard {
     function swapBForA(uint256 amountBIn) 
         external 
         nonReentrant
+        whenNotPaused
         returns (uint256 amountAOut) 
     {
-        require(amountBIn > 0, "Amount must be greater than 0");
-        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        amountAOut = _swap(false, amountBIn, 0);
+    }
+    
+    /// @notice Swap token B for token A with slippage and deadline protection
+    /// @param amountBIn Amount of token B to swap
+    /// @param minAmountOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapBForAWithSlippage(uint256 amountBIn, uint256 minAmountOut, uint256 deadline)
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        amountAOut = _swap(false, amountBIn, minAmountOut);
+    }
+    
+    /// @notice Approve token B by signature and swap it for token A in one transaction
+    /// @param amountBIn Amount of token B to swap; also the permitted allowance
+    /// @param minAmountOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction and permit expire
+    /// @param sig Caller's permit signature for token B
+    /// @return amountAOut Amount of token A received
+    function swapBForAWithPermit(
+        uint256 amountBIn,
+        uint256 minAmountOut,
+        uint256 deadline,
+        PermitSignature calldata sig
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        _permit(tokenB, amountBIn, deadline, sig);
+        amountAOut = _swap(false, amountBIn, minAmountOut);
+    }
+    
+    /// @notice Borrow reserves for the duration of a callback
+    /// @dev Tokens are sent to `to` first, then `to.dexFlashCall` runs, and finally the
+    ///      constant-product invariant is checked with the swap fee charged on whatever
+    ///      was paid back. Repayment may be in either token.
+    /// @param amountAOut Amount of token A to send to `to`
+    /// @param amountBOut Amount of token B to send to `to`
+    /// @param to Receiver contract implementing IDEXFlashCallee
+    /// @param data Arbitrary data forwarded to the receiver
+    function flashSwap(uint256 amountAOut, uint256 amountBOut, address to, bytes calldata data) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+    {
+        require(amountAOut > 0 || amountBOut > 0, "Insufficient output amount");
+        require(amountAOut < reserveA && amountBOut < reserveB, "Insufficient liquidity");
+        require(to != tokenA && to != tokenB, "Invalid recipient");
         
-        // Calculate output amount with fee
-        amountAOut = getAmountOut(amountBIn, reserveB, reserveA);
-        require(amountAOut > 0, "Insufficient output amount");
-        require(amountAOut < reserveA, "Insufficient reserve");
+        // Optimistically transfer, then hand control to the receiver
+        if (amountAOut > 0) {
+            IERC20(tokenA).safeTransfer(to, amountAOut);
+        }
+        if (amountBOut > 0) {
+            IERC20(tokenB).safeTransfer(to, amountBOut);
+        }
+        IDEXFlashCallee(to).dexFlashCall(msg.sender, amountAOut, amountBOut, data);
+        
+        (uint256 amountAIn, uint256 amountBIn) = _settleFlashSwap(amountAOut, amountBOut);
+        
+        emit FlashSwap(msg.sender, to, amountAOut, amountBOut, amountAIn, amountBIn);
+    }
+    
+    /// @notice Set the reserves to the pool's actual token balances
+    /// @dev Recovers from direct transfers, fee-on-transfer losses and rebases
+    function sync() external nonReentrant {
+        _updateOracle();
+        reserveA = IERC20(tokenA).balanceOf(address(this)) - protocolFeesA;
+        reserveB = IERC20(tokenB).balanceOf(address(this)) - protocolFeesB;
+        
+        emit Sync(reserveA, reserveB);
+    }
+    
+    /// @notice Send any tokens held above the reserves and accrued protocol fees to `to`
+    /// @param to Recipient of the excess tokens
+    function skim(address to) external nonReentrant {
+        uint256 excessA = IERC20(tokenA).balanceOf(address(this)) - reserveA - protocolFeesA;
+        uint256 excessB = IERC20(tokenB).balanceOf(address(this)) - reserveB - protocolFeesB;
         
-        // Transfer tokens
-        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountBIn);
-        IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
+        if (excessA > 0) {
+            IERC20(tokenA).safeTransfer(to, excessA);
+        }
+        if (excessB > 0) {
+            IERC20(tokenB).safeTransfer(to, excessB);
+        }
+    }
+    
+    /// @notice Total LP tokens in circulation
+    /// @dev Kept for backward compatibility; equal to `totalSupply()`
+    /// @return Total supply of the LP token
+    function totalLiquidity() external view returns (uint256) {
+        return totalSupply();
+    }
+    
+    /// @notice LP tokens held by an account
+    /// @dev Kept for backward compatibility; equal to `balanceOf(provider)`
+    /// @param provider Address of the liquidity provider
+    /// @return LP token balance of `provider`
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+    
+    /// @notice Set the swap fee charged on every trade
+    /// @param newFee New fee in basis points, at most MAX_SWAP_FEE
+    function setSwapFee(uint256 newFee) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newFee <= MAX_SWAP_FEE, "Fee too high");
+        emit SwapFeeUpdated(swapFee, newFee);
+        swapFee = newFee;
+    }
+    
+    /// @notice Set the share of the swap fee kept by the protocol instead of LPs
+    /// @param newShare New share in basis points of the swap fee, at most MAX_PROTOCOL_FEE_SHARE
+    function setProtocolFeeShare(uint256 newShare) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newShare <= MAX_PROTOCOL_FEE_SHARE, "Protocol fee share too high");
+        require(newShare == 0 || feeRecipient != address(0), "Fee recipient not set");
+        emit ProtocolFeeShareUpdated(protocolFeeShare, newShare);
+        protocolFeeShare = newShare;
+    }
+    
+    /// @notice Set the address that receives collected protocol fees
+    /// @param newRecipient Address of the new fee recipient
+    function setFeeRecipient(address newRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newRecipient != address(0), "Invalid fee recipient");
+        emit FeeRecipientUpdated(feeRecipient, newRecipient);
+        feeRecipient = newRecipient;
+    }
+    
+    /// @notice Stop swaps, deposits, zaps and flash swaps
+    /// @dev Withdrawals and migrations stay open so LPs can always exit
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+    
+    /// @notice Resume swaps, deposits, zaps and flash swaps
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+    
+    /// @notice Set the pool LPs may migrate their liquidity to
+    /// @dev The new pool must trade the same two tokens in the same order, as factory pools do
+    /// @param newTarget Address of the new pool, or the zero address to disable migration
+    function setMigrationTarget(address newTarget) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newTarget != address(0)) {
+            require(newTarget != address(this), "Invalid migration target");
+            require(DEX(newTarget).tokenA() == tokenA && DEX(newTarget).tokenB() == tokenB, "Token mismatch");
+        }
+        emit MigrationTargetUpdated(migrationTarget, newTarget);
+        migrationTarget = newTarget;
+    }
+    
+    /// @notice Send accrued protocol fees to the fee recipient
+    /// @return amountA Amount of token A collected
+    /// @return amountB Amount of token B collected
+    function collectProtocolFees() external nonReentrant returns (uint256 amountA, uint256 amountB) {
+        require(feeRecipient != address(0), "Fee recipient not set");
+        amountA = protocolFeesA;
+        amountB = protocolFeesB;
+        protocolFeesA = 0;
+        protocolFeesB = 0;
         
-        // Update reserves
-        reserveB += amountBIn;
-        reserveA -= amountAOut;
+        if (amountA > 0) {
+            IERC20(tokenA).safeTransfer(feeRecipient, amountA);
+        }
+        if (amountB > 0) {
+            IERC20(tokenB).safeTransfer(feeRecipient, amountB);
+        }
         
-        emit Swap(msg.sender, tokenB, tokenA, amountBIn, amountAOut);
+        emit ProtocolFeesCollected(feeRecipient, amountA, amountB);
     }
     
     /// @notice Get current price of token A in terms of token B
     /// @return price Current price (reserveB / reserveA)
     function getPrice() external view returns (uint256 price) {
         require(reserveA > 0, "No liquidity");
-        price = (reserveB * 1e18) / reserveA;
+        price = _spotPrice();
+    }
+    
+    /// @notice Time-weighted average price of token A in terms of token B
+    /// @dev Manipulating the result requires holding a skewed price for a large
+    ///      share of the window, not just for one block
+    /// @param secondsAgo Length of the averaging window ending now, in seconds
+    /// @return priceAverage Average of reserveB / reserveA over the window (scaled by 1e18)
+    function consult(uint256 secondsAgo) external view returns (uint256 priceAverage) {
+        require(secondsAgo > 0, "Invalid window");
+        require(
+            observationCount > 0 && secondsAgo <= block.timestamp - observations[_oldestObservation()].timestamp,
+            "Insufficient history"
+        );
+        
+        uint216 cumulativeNow = _priceCumulativeAt(block.timestamp);
+        uint216 cumulativeThen = _priceCumulativeAt(block.timestamp - secondsAgo);
+        unchecked {
+            priceAverage = (cumulativeNow - cumulativeThen) / secondsAgo;
+        }
     }
     
     /// @notice Get current reserves
@@ -175,22 +602,389 @@ contract DEX is ReentrancyGuard {
     /// @param amountIn Amount of token input
     /// @param reserveIn Reserve of input token
     /// @param reserveOut Reserve of output token
-    /// @return amountOut Amount of token output (after 0.3% fee)
+    /// @return amountOut Amount of token output (after swap fee)
     function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) 
         public 
-        pure 
+        view 
+        virtual
         returns (uint256 amountOut) 
     {
         require(amountIn > 0, "Insufficient input amount");
         require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
         
-        // Apply 0.3% fee: 997/1000 = 99.7%
-        uint256 amountInWithFee = amountIn * 997;
+        // Apply swap fee: with the default 30 bps, 9970/10000 = 99.7%
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
         uint256 numerator = amountInWithFee * reserveOut;
-        uint256 denominator = (reserveIn * 1000) + amountInWithFee;
+        uint256 denominator = (reserveIn * FEE_DENOMINATOR) + amountInWithFee;
         amountOut = numerator / denominator;
     }
     
+    /// @notice Calculate the input amount required to receive a given output amount
+    /// @param amountOut Desired amount of token output
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountIn Minimum amount of token input (including swap fee)
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut) 
+        public 
+        view 
+        virtual
+        returns (uint256 amountIn) 
+    {
+        require(amountOut > 0, "Insufficient output amount");
+        require(reserveIn > 0 && reserveOut > amountOut, "Insufficient liquidity");
+        
+        // Invert getAmountOut and round up so the output is always reached
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+        amountIn = (numerator / denominator) + 1;
+    }
+    
+    /// @notice Pull `amountA` and `amountB` from the caller and mint LP tokens for what arrived
+    /// @dev The minimums apply to the amounts received, so a fee-on-transfer token cannot take
+    ///      the deposit below them, and they also hold for the first deposit. The pair is matched
+    ///      to the pool ratio before the transfer: if one token arrives short, LP tokens follow that
+    ///      side and the surplus of the other token is added to the reserves for all LPs
+    /// @param amountA Amount of token A to add
+    /// @param amountB Amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must arrive
+    /// @param amountBMin Minimum amount of token B that must arrive
+    /// @return liquidityMinted Amount of LP tokens minted
+    function _addLiquidity(uint256 amountA, uint256 amountB, uint256 amountAMin, uint256 amountBMin)
+        internal
+        returns (uint256 liquidityMinted)
+    {
+        // Transfer tokens from user to contract
+        amountA = _pullToken(tokenA, amountA);
+        amountB = _pullToken(tokenB, amountB);
+        require(amountA >= amountAMin, "Insufficient A amount");
+        require(amountB >= amountBMin, "Insufficient B amount");
+        
+        liquidityMinted = _mintLiquidity(amountA, amountB);
+    }
+    
+    /// @notice Credit tokens already held by the pool to the reserves and mint LP tokens to the caller
+    /// @param amountA Amount of token A deposited
+    /// @param amountB Amount of token B deposited
+    /// @return liquidityMinted Amount of LP tokens minted
+    function _mintLiquidity(uint256 amountA, uint256 amountB) internal returns (uint256 liquidityMinted) {
+        require(amountA > 0 && amountB > 0, "Amounts must be greater than 0");
+        
+        uint256 _totalLiquidity = totalSupply();
+        if (_totalLiquidity == 0) {
+            // First liquidity provider - can set any ratio, minus the permanently locked minimum
+            liquidityMinted = sqrt(amountA * amountB);
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            // Subsequent liquidity additions must maintain ratio
+            uint256 liquidityA = (amountA * _totalLiquidity) / reserveA;
+            uint256 liquidityB = (amountB * _totalLiquidity) / reserveB;
+            
+            // Use the smaller amount to maintain ratio
+            liquidityMinted = liquidityA < liquidityB ? liquidityA : liquidityB;
+            require(liquidityMinted > 0, "Insufficient liquidity minted");
+        }
+        
+        // Update state
+        _mint(msg.sender, liquidityMinted);
+        _updateOracle();
+        reserveA += amountA;
+        reserveB += amountB;
+        
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+    }
+    
+    /// @notice Burn a provider's LP tokens and return the proportional reserves to them
+    /// @param provider Owner of the LP tokens; receives the withdrawn tokens
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function _removeLiquidity(address provider, uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin)
+        internal
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _burnLiquidity(provider, liquidityAmount, amountAMin, amountBMin);
+        
+        // Transfer tokens to user
+        IERC20(tokenA).safeTransfer(provider, amountA);
+        IERC20(tokenB).safeTransfer(provider, amountB);
+        
+        emit LiquidityRemoved(provider, amountA, amountB, liquidityAmount);
+    }
+    
+    /// @notice Burn a provider's LP tokens and take their share out of the reserves
+    /// @dev The caller is responsible for sending out `amountA` and `amountB`
+    /// @param provider Owner of the LP tokens
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to withdraw
+    /// @param amountBMin Minimum amount of token B to withdraw
+    /// @return amountA Amount of token A withdrawn from the reserves
+    /// @return amountB Amount of token B withdrawn from the reserves
+    function _burnLiquidity(address provider, uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin)
+        internal
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityAmount > 0, "Amount must be greater than 0");
+        require(balanceOf(provider) >= liquidityAmount, "Insufficient liquidity");
+        
+        // Calculate proportional amounts
+        uint256 _totalLiquidity = totalSupply();
+        amountA = (liquidityAmount * reserveA) / _totalLiquidity;
+        amountB = (liquidityAmount * reserveB) / _totalLiquidity;
+        
+        require(amountA > 0 && amountB > 0, "Insufficient amounts");
+        require(amountA >= amountAMin, "Insufficient A amount");
+        require(amountB >= amountBMin, "Insufficient B amount");
+        
+        // Update state
+        _burn(provider, liquidityAmount);
+        _updateOracle();
+        reserveA -= amountA;
+        reserveB -= amountB;
+    }
+    
+    /// @notice Pull `amountIn` of the input token from the caller and send back the output token
+    /// @param aForB True to sell token A for token B, false for the reverse
+    /// @param amountIn Amount of input token to swap
+    /// @param minAmountOut Minimum amount of output token to receive
+    /// @return amountOut Amount of output token received
+    function _swap(bool aForB, uint256 amountIn, uint256 minAmountOut) internal returns (uint256 amountOut) {
+        (address tokenIn, address tokenOut) = aForB ? (tokenA, tokenB) : (tokenB, tokenA);
+        
+        amountIn = _pullToken(tokenIn, amountIn);
+        amountOut = _swapReserves(aForB, amountIn);
+        require(amountOut >= minAmountOut, "Output below minimum");
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+    }
+    
+    /// @notice Price a swap against the reserves and book it, without moving any tokens
+    /// @dev The caller is responsible for having received `amountIn` and for sending `amountOut`
+    /// @param aForB True to sell token A for token B, false for the reverse
+    /// @param amountIn Amount of input token already held by the pool
+    /// @return amountOut Amount of output token owed to the trader
+    function _swapReserves(bool aForB, uint256 amountIn) internal returns (uint256 amountOut) {
+        require(amountIn > 0, "Amount must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        
+        // Calculate output amount with fee
+        (uint256 reserveIn, uint256 reserveOut) = aForB ? (reserveA, reserveB) : (reserveB, reserveA);
+        amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+        require(amountOut > 0, "Insufficient output amount");
+        require(amountOut < reserveOut, "Insufficient reserve");
+        
+        // Update reserves, setting aside the protocol's share of the fee
+        uint256 protocolFee = _protocolFee(amountIn);
+        _updateOracle();
+        if (aForB) {
+            protocolFeesA += protocolFee;
+            reserveA += amountIn - protocolFee;
+            reserveB -= amountOut;
+            emit Swap(msg.sender, tokenA, tokenB, amountIn, amountOut);
+        } else {
+            protocolFeesB += protocolFee;
+            reserveB += amountIn - protocolFee;
+            reserveA -= amountOut;
+            emit Swap(msg.sender, tokenB, tokenA, amountIn, amountOut);
+        }
+    }
+    
+    /// @notice Verify a flash swap was repaid and sync the reserves to the new balances
+    /// @param amountAOut Amount of token A sent out
+    /// @param amountBOut Amount of token B sent out
+    /// @return amountAIn Amount of token A paid back
+    /// @return amountBIn Amount of token B paid back
+    function _settleFlashSwap(uint256 amountAOut, uint256 amountBOut) 
+        internal 
+        returns (uint256 amountAIn, uint256 amountBIn) 
+    {
+        // Balances still owed to the protocol are not part of the pool
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this)) - protocolFeesA;
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this)) - protocolFeesB;
+        
+        amountAIn = balanceA > reserveA - amountAOut ? balanceA - (reserveA - amountAOut) : 0;
+        amountBIn = balanceB > reserveB - amountBOut ? balanceB - (reserveB - amountBOut) : 0;
+        require(amountAIn > 0 || amountBIn > 0, "Insufficient input amount");
+        
+        // The curve invariant must hold after charging the swap fee on amounts paid in
+        uint256 balanceAAdjusted = (balanceA * FEE_DENOMINATOR) - (amountAIn * swapFee);
+        uint256 balanceBAdjusted = (balanceB * FEE_DENOMINATOR) - (amountBIn * swapFee);
+        require(_invariantHolds(balanceAAdjusted, balanceBAdjusted), "K invariant violated");
+        
+        // Update reserves, setting aside the protocol's share of the fee
+        uint256 protocolFeeA = _protocolFee(amountAIn);
+        uint256 protocolFeeB = _protocolFee(amountBIn);
+        _updateOracle();
+        protocolFeesA += protocolFeeA;
+        protocolFeesB += protocolFeeB;
+        reserveA = balanceA - protocolFeeA;
+        reserveB = balanceB - protocolFeeB;
+    }
+    
+    /// @notice Amount of a single-token deposit to swap so the remainder matches the new pool ratio
+    /// @dev Solves (amountIn - s) / reserveIn' = out(s) / reserveOut' for s, with the swap fee applied:
+    ///      s = (sqrt(((F + g) * r)^2 + 4 * g * F * amountIn * r) - (F + g) * r) / (2 * g)
+    ///      where F = FEE_DENOMINATOR and g = F - swapFee
+    /// @param amountIn Total amount of the input token being zapped
+    /// @param reserveIn Reserve of the input token
+    /// @return swapAmount Portion of `amountIn` to swap for the other token
+    function _zapSwapAmount(uint256 amountIn, uint256 reserveIn) internal view virtual returns (uint256 swapAmount) {
+        uint256 g = FEE_DENOMINATOR - swapFee;
+        uint256 b = (FEE_DENOMINATOR + g) * reserveIn;
+        swapAmount = (sqrt(b * b + 4 * g * FEE_DENOMINATOR * amountIn * reserveIn) - b) / (2 * g);
+    }
+    
+    /// @notice Whether fee-adjusted balances keep the constant product at or above the reserves'
+    /// @param balanceAAdjusted Balance of token A minus the fee on the amount paid in, scaled by FEE_DENOMINATOR
+    /// @param balanceBAdjusted Balance of token B minus the fee on the amount paid in, scaled by FEE_DENOMINATOR
+    /// @return True if the invariant holds
+    function _invariantHolds(uint256 balanceAAdjusted, uint256 balanceBAdjusted) internal view virtual returns (bool) {
+        return balanceAAdjusted * balanceBAdjusted >= reserveA * reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR;
+    }
+    
+    /// @notice Marginal price of token A in terms of token B at the current reserves
+    /// @dev Callers must ensure reserveA is non-zero
+    /// @return Price scaled by 1e18
+    function _spotPrice() internal view virtual returns (uint256) {
+        return (reserveB * 1e18) / reserveA;
+    }
+    
+    /// @notice Approve this pool to spend the caller's tokens using an EIP-2612 signature
+    /// @param token Address of a token implementing IERC20Permit
+    /// @param value Allowance granted to the pool
+    /// @param deadline Expiry of the signature
+    /// @param sig Signature by the caller over the permit
+    function _permit(address token, uint256 value, uint256 deadline, PermitSignature calldata sig) internal {
+        // The signature is public once in the mempool, and anyone may submit it first to consume
+        // the nonce. A failed permit is ignored, and the transfer that follows enforces the allowance
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, sig.v, sig.r, sig.s) {} catch {}
+    }
+    
+    /// @notice Transfer tokens from the caller and measure how many actually arrived
+    /// @dev Fee-on-transfer tokens deliver less than `amount`
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase in the pool's balance of `token`
+    function _pullToken(address token, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /// @notice Revert if `deadline` has passed
+    /// @dev Kept out of the `ensure` modifier so its body is not inlined into every entry point
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    function _checkDeadline(uint256 deadline) internal view {
+        require(deadline >= block.timestamp, "Transaction expired");
+    }
+    
+    /// @notice Portion of a swap input that accrues to the protocol rather than LPs
+    /// @param amountIn Amount of token input
+    /// @return Protocol fee, denominated in the input token
+    function _protocolFee(uint256 amountIn) internal view returns (uint256) {
+        return (amountIn * swapFee * protocolFeeShare) / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+    }
+    
+    /// @notice Accumulate the price held since the last update and record an observation
+    /// @dev Must run before every reserve change. At most one observation is stored per block,
+    ///      overwriting the oldest once all OBSERVATION_CARDINALITY slots are in use
+    function _updateOracle() internal {
+        uint256 index = observationIndex;
+        uint256 count = observationCount;
+        Observation memory last = observations[index];
+        if (count > 0) {
+            if (last.timestamp == block.timestamp) {
+                return;
+            }
+            index = (index + 1) % OBSERVATION_CARDINALITY;
+        }
+        
+        uint216 priceCumulative = last.priceCumulative;
+        if (reserveA > 0 && reserveB > 0) {
+            unchecked {
+                priceCumulative += uint216(_spotPrice() * (block.timestamp - last.timestamp));
+            }
+        }
+        observations[index] = Observation(uint40(block.timestamp), priceCumulative);
+        observationIndex = uint16(index);
+        if (count < OBSERVATION_CARDINALITY) {
+            observationCount = uint16(count + 1);
+        }
+    }
+    
+    /// @notice Slot of the oldest observation still held in the ring buffer
+    /// @return Index into `observations`
+    function _oldestObservation() internal view returns (uint256) {
+        if (observationCount < OBSERVATION_CARDINALITY) {
+            return 0;
+        }
+        return (uint256(observationIndex) + 1) % OBSERVATION_CARDINALITY;
+    }
+    
+    /// @notice Interpolate the cumulative price at a past or current timestamp
+    /// @param target Timestamp no earlier than the oldest observation
+    /// @return cumulative Value of the price accumulator at `target`, modulo 2^216
+    function _priceCumulativeAt(uint256 target) internal view returns (uint216 cumulative) {
+        // Binary search, in age order, for the last observation at or before target
+        uint256 oldest = _oldestObservation();
+        uint256 low = 0;
+        uint256 high = observationCount - 1;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (observations[(oldest + mid) % OBSERVATION_CARDINALITY].timestamp <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        Observation memory before = observations[(oldest + low) % OBSERVATION_CARDINALITY];
+        if (low == observationCount - 1) {
+            // Reserves have not changed since the last observation
+            uint256 spotPrice = reserveA > 0 && reserveB > 0 ? _spotPrice() : 0;
+            unchecked {
+                return before.priceCumulative + uint216(spotPrice * (target - before.timestamp));
+            }
+        }
+        
+        Observation memory next = observations[(oldest + low + 1) % OBSERVATION_CARDINALITY];
+        unchecked {
+            uint256 delta = next.priceCumulative - before.priceCumulative;
+            cumulative = before.priceCumulative
+                + uint216((delta * (target - before.timestamp)) / (next.timestamp - before.timestamp));
+        }
+    }
+    
+    /// @notice Work out how much of each token to deposit so the pool ratio is preserved
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be deposited
+    /// @param amountBMin Minimum amount of token B that must be deposited
+    /// @return amountA Amount of token A to deposit
+    /// @return amountB Amount of token B to deposit
+    function _optimalAmounts(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin
+    ) internal view returns (uint256 amountA, uint256 amountB) {
+        if (totalSupply() == 0) {
+            return (amountADesired, amountBDesired);
+        }
+        
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "Insufficient B amount");
+            return (amountADesired, amountBOptimal);
+        }
+        
+        uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+        require(amountAOptimal >= amountAMin, "Insufficient A amount");
+        return (amountAOptimal, amountBDesired);
+    }
+    
     /// @notice Square root function for initial liquidity calculation
     /// @param y The number to calculate square root of
     /// @return z The square root
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @title DEXDeployer - Deploys DEX pools for DEXFactory
+/// @notice Holds the DEX creation code so the factory itself stays under the contract size limit
+/// @dev Created by the factory in its constructor; only that factory can deploy through it
+contract DEXDeployer {
+    address public immutable factory;
+    
+    /// @notice Bind the deployer to the factory creating it
+    constructor() {
+        factory = msg.sender;
+    }
+    
+    /// @notice Deploy a pool and hand all of its roles to `admin`
+    /// @param token0 Address of the pool's token A
+    /// @param token1 Address of the pool's token B
+    /// @param admin Account receiving the admin, fee manager and guardian roles
+    /// @return pair Address of the new pool
+    function deploy(address token0, address token1, address admin) external returns (address pair) {
+        require(msg.sender == factory, "Only factory");
+        
+        DEX dex = new DEX(token0, token1);
+        // Same values as the pool's GUARDIAN_ROLE, FEE_MANAGER_ROLE and DEFAULT_ADMIN_ROLE, inlined to save code size
+        bytes32[3] memory roles = [keccak256("GUARDIAN_ROLE"), keccak256("FEE_MANAGER_ROLE"), bytes32(0)];
+        for (uint256 i = 0; i < roles.length; i++) {
+            dex.grantRole(roles[i], admin);
+        }
+        // The admin role goes last, since it is needed to grant the others
+        for (uint256 i = 0; i < roles.length; i++) {
+            dex.renounceRole(roles[i], address(this));
+        }
+        pair = address(dex);
+    }
+}
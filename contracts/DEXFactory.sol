@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./DEXDeployer.sol";
+
+/// @title DEXFactory - Deploys and tracks DEX pools
+/// @notice Creates one DEX pool per unordered token pair
+/// @dev The factory owner becomes admin, fee manager and guardian of every pool it creates.
+///      Pools are deployed through a DEXDeployer so the factory does not carry the DEX bytecode
+contract DEXFactory is Ownable {
+    // State variables
+    DEXDeployer public immutable deployer;
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+    
+    // Events
+    event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairIndex);
+    
+    /// @notice Create the deployer this factory deploys pools through
+    constructor() {
+        deployer = new DEXDeployer();
+    }
+    
+    /// @notice Deploy a new pool for a token pair
+    /// @dev Tokens are sorted so that the pool's tokenA is always the lower address.
+    ///      Pool roles are handed to the factory owner and renounced by the deployer. They are
+    ///      fixed at creation: a later change of factory ownership does not move them, so the
+    ///      pool's admin transfers them with `grantRole` / `renounceRole`.
+    /// @param tokenA Address of one token in the pair
+    /// @param tokenB Address of the other token in the pair
+    /// @return pair Address of the newly created pool
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        require(tokenA != tokenB, "Tokens must be different");
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+        require(token0 != address(0), "Invalid token address");
+        require(getPair[token0][token1] == address(0), "Pair already exists");
+        address admin = owner();
+        require(admin != address(0), "Factory has no owner");
+        
+        pair = deployer.deploy(token0, token1, admin);
+        
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+        
+        emit PairCreated(token0, token1, pair, allPairs.length - 1);
+    }
+    
+    /// @notice Number of pools created by this factory
+    /// @return Length of `allPairs`
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+    
+    /// @notice Order two token addresses canonically
+    /// @param tokenA Address of one token
+    /// @param tokenB Address of the other token
+    /// @return token0 The lower of the two addresses
+    /// @return token1 The higher of the two addresses
+    function sortTokens(address tokenA, address tokenB) public pure returns (address token0, address token1) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+}
@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DEX.sol";
+import "./DEXFactory.sol";
+
+/// @title DEXRouter - Multi-hop swaps across DEXFactory pools
+/// @notice Routes exact-input and exact-output trades along a path of token addresses
+/// @dev Every hop spends what actually arrived from the previous one, so exact-input routes
+///      work through fee-on-transfer tokens. Exact-output routes need each hop to deliver its
+///      quoted amount and revert when a token in the path charges a transfer fee
+contract DEXRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    DEXFactory public immutable factory;
+    
+    /// @notice Reverts once the caller-supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "Transaction expired");
+        _;
+    }
+    
+    /// @notice Initialize the router with the factory used to resolve pools
+    /// @param _factory Address of the DEXFactory
+    constructor(address _factory) {
+        require(_factory != address(0), "Invalid factory address");
+        factory = DEXFactory(_factory);
+    }
+    
+    /// @notice Swap an exact input amount along `path`
+    /// @dev `amountOutMin` is checked once, against what `to` receives at the end of the route
+    /// @param amountIn Amount of `path[0]` to spend
+    /// @param amountOutMin Minimum amount of the last token in `path` to receive
+    /// @param path Token addresses to trade through, e.g. [A, B, C]
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in `path` that arrived at each step, ending with what `to` received
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = _pullToken(path[0], amountIn);
+        
+        // No minimum per hop; only the final output matters
+        _swap(amounts, path, to);
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+    }
+    
+    /// @notice Swap along `path` to receive an exact output amount
+    /// @param amountOut Amount of the last token in `path` to receive
+    /// @param amountInMax Maximum amount of `path[0]` to spend
+    /// @param path Token addresses to trade through, e.g. [A, B, C]
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in `path` that arrived at each step, ending with what `to` received
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        amounts = getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "Excessive input amount");
+        
+        amounts[0] = _pullToken(path[0], amounts[0]);
+        _swap(amounts, path, to);
+        require(amounts[amounts.length - 1] >= amountOut, "Insufficient output amount");
+    }
+    
+    /// @notice Quote the output of every hop for an exact input amount
+    /// @param amountIn Amount of `path[0]` to spend
+    /// @param path Token addresses to trade through
+    /// @return amounts `amounts[0]` is `amountIn`, `amounts[i]` is the output of hop i
+    function getAmountsOut(uint256 amountIn, address[] calldata path) 
+        public 
+        view 
+        returns (uint256[] memory amounts) 
+    {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            DEX pool = _pairFor(path[i], path[i + 1]);
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(pool, path[i]);
+            amounts[i + 1] = pool.getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+    }
+    
+    /// @notice Quote the input required at every hop for an exact output amount
+    /// @param amountOut Amount of the last token in `path` to receive
+    /// @param path Token addresses to trade through
+    /// @return amounts `amounts[amounts.length - 1]` is `amountOut`, `amounts[0]` is the required input
+    function getAmountsIn(uint256 amountOut, address[] calldata path) 
+        public 
+        view 
+        returns (uint256[] memory amounts) 
+    {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+        
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            DEX pool = _pairFor(path[i - 1], path[i]);
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(pool, path[i - 1]);
+            amounts[i - 1] = pool.getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+    }
+    
+    /// @notice Execute each hop of a route and forward the final output
+    /// @dev The amount that actually arrived from each hop is fed into the next one. Each pool
+    ///      enforces the entry for its hop as its minimum output, zero for no minimum
+    /// @param amounts `amounts[0]` is the input held by the router, later entries the minimum
+    ///        output of each hop; overwritten with the amounts received, the last one by `to`
+    /// @param path Token addresses to trade through
+    /// @param to Recipient of the output tokens
+    function _swap(uint256[] memory amounts, address[] calldata path, address to) internal {
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            DEX pool = _pairFor(path[i], path[i + 1]);
+            IERC20(path[i]).forceApprove(address(pool), amounts[i]);
+            
+            IERC20 tokenOut = IERC20(path[i + 1]);
+            uint256 balanceBefore = tokenOut.balanceOf(address(this));
+            if (path[i] == pool.tokenA()) {
+                pool.swapAForBWithSlippage(amounts[i], amounts[i + 1], block.timestamp);
+            } else {
+                pool.swapBForAWithSlippage(amounts[i], amounts[i + 1], block.timestamp);
+            }
+            amounts[i + 1] = tokenOut.balanceOf(address(this)) - balanceBefore;
+        }
+        
+        IERC20 output = IERC20(path[path.length - 1]);
+        uint256 recipientBefore = output.balanceOf(to);
+        output.safeTransfer(to, amounts[amounts.length - 1]);
+        amounts[amounts.length - 1] = output.balanceOf(to) - recipientBefore;
+    }
+    
+    /// @notice Transfer tokens from the caller and measure how many actually arrived
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase in the router's balance of `token`
+    function _pullToken(address token, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /// @notice Look up the pool for a token pair
+    /// @param tokenA Address of one token
+    /// @param tokenB Address of the other token
+    /// @return pool The pool registered in the factory
+    function _pairFor(address tokenA, address tokenB) internal view returns (DEX pool) {
+        address pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "Pair does not exist");
+        pool = DEX(pair);
+    }
+    
+    /// @notice Read a pool's reserves ordered by trade direction
+    /// @param pool The pool to query
+    /// @param tokenIn Address of the token being sold
+    /// @return reserveIn Reserve of `tokenIn`
+    /// @return reserveOut Reserve of the other token
+    function _getReserves(DEX pool, address tokenIn) 
+        internal 
+        view 
+        returns (uint256 reserveIn, uint256 reserveOut) 
+    {
+        (uint256 reserveA, uint256 reserveB) = pool.getReserves();
+        (reserveIn, reserveOut) = tokenIn == pool.tokenA() ? (reserveA, reserveB) : (reserveB, reserveA);
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./DEX.sol";
+
+/// @title LimitOrderBook - Limit orders settled against a DEX pool
+/// @notice Orders escrow their input tokens until the pool offers the target price. Anyone can
+///         then execute them and earns a share of the output as a keeper reward
+/// @dev Target prices are quoted like `DEX.getPrice()`: token B per token A, scaled by 1e18.
+///      A sell order for token A fills at or above its target, a sell order for token B fills
+///      at or below it. The check is made against what the owner actually receives, after the
+///      swap fee, price impact and keeper reward
+contract LimitOrderBook is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    uint256 public constant REWARD_DENOMINATOR = 10000;
+    uint256 public constant MAX_KEEPER_REWARD = 100; // 1%
+    
+    enum OrderStatus {
+        None,
+        Open,
+        Filled,
+        Cancelled
+    }
+    
+    struct Order {
+        address owner;
+        bool sellA;
+        OrderStatus status;
+        uint256 amountIn;
+        uint256 targetPrice;
+        uint256 expiry;
+    }
+    
+    // State variables
+    DEX public immutable dex;
+    address public immutable tokenA;
+    address public immutable tokenB;
+    uint256 public immutable keeperReward; // share of the output, in basis points
+    uint256 public nextOrderId = 1;
+    mapping(uint256 => Order) public orders;
+    
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed owner,
+        address indexed tokenIn,
+        uint256 amountIn,
+        uint256 targetPrice,
+        uint256 expiry
+    );
+    event OrderExecuted(uint256 indexed orderId, address indexed keeper, uint256 amountOut, uint256 reward);
+    event OrderCancelled(uint256 indexed orderId, address indexed owner, uint256 amountRefunded);
+    
+    /// @notice Initialize the order book for a pool
+    /// @param _dex Address of the DEX pool orders are settled against
+    /// @param _keeperReward Share of each order's output paid to its executor, in basis points
+    constructor(address _dex, uint256 _keeperReward) {
+        require(_dex != address(0), "Invalid pool address");
+        require(_keeperReward <= MAX_KEEPER_REWARD, "Reward too high");
+        dex = DEX(_dex);
+        tokenA = DEX(_dex).tokenA();
+        tokenB = DEX(_dex).tokenB();
+        keeperReward = _keeperReward;
+    }
+    
+    /// @notice Escrow `amountIn` of `tokenIn` until the pool reaches `targetPrice`
+    /// @param tokenIn Token to sell, tokenA or tokenB of the pool
+    /// @param amountIn Amount of `tokenIn` to sell
+    /// @param targetPrice Limit price of token A in token B, scaled by 1e18
+    /// @param expiry Unix timestamp after which the order can no longer be executed
+    /// @return orderId ID of the new order
+    function placeOrder(address tokenIn, uint256 amountIn, uint256 targetPrice, uint256 expiry)
+        external
+        nonReentrant
+        returns (uint256 orderId)
+    {
+        bool sellA = tokenIn == tokenA;
+        require(sellA || tokenIn == tokenB, "Invalid token");
+        require(amountIn > 0, "Amount must be greater than 0");
+        require(targetPrice > 0, "Invalid target price");
+        require(expiry > block.timestamp, "Invalid expiry");
+        
+        // Escrow what actually arrives, so fee-on-transfer tokens cannot overdraw other orders
+        uint256 balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        amountIn = IERC20(tokenIn).balanceOf(address(this)) - balanceBefore;
+        
+        orderId = nextOrderId++;
+        orders[orderId] = Order(msg.sender, sellA, OrderStatus.Open, amountIn, targetPrice, expiry);
+        
+        emit OrderPlaced(orderId, msg.sender, tokenIn, amountIn, targetPrice, expiry);
+    }
+    
+    /// @notice Fill an order against the pool and pay the keeper reward to the caller
+    /// @param orderId ID of the order to execute
+    /// @return amountOut Amount of the output token sent to the order owner
+    /// @return reward Amount of the output token sent to the caller
+    function executeOrder(uint256 orderId) external nonReentrant returns (uint256 amountOut, uint256 reward) {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "Order not open");
+        require(block.timestamp <= order.expiry, "Order expired");
+        order.status = OrderStatus.Filled;
+        
+        (address tokenIn, address tokenOut) = order.sellA ? (tokenA, tokenB) : (tokenB, tokenA);
+        IERC20(tokenIn).forceApprove(address(dex), order.amountIn);
+        
+        // The pool itself rejects a swap that cannot cover the target price plus the keeper reward
+        uint256 minReceived = _minReceived(orderId);
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+        if (order.sellA) {
+            dex.swapAForBWithSlippage(order.amountIn, minReceived, block.timestamp);
+        } else {
+            dex.swapBForAWithSlippage(order.amountIn, minReceived, block.timestamp);
+        }
+        uint256 received = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+        
+        reward = (received * keeperReward) / REWARD_DENOMINATOR;
+        amountOut = received - reward;
+        // Backstop for output tokens that deliver less than the pool sent
+        require(amountOut >= minAmountOut(orderId), "Target price not reached");
+        
+        IERC20(tokenOut).safeTransfer(order.owner, amountOut);
+        if (reward > 0) {
+            IERC20(tokenOut).safeTransfer(msg.sender, reward);
+        }
+        
+        emit OrderExecuted(orderId, msg.sender, amountOut, reward);
+    }
+    
+    /// @notice Cancel an open or expired order and refund its escrowed tokens
+    /// @param orderId ID of the order to cancel
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.owner == msg.sender, "Not order owner");
+        require(order.status == OrderStatus.Open, "Order not open");
+        order.status = OrderStatus.Cancelled;
+        
+        IERC20(order.sellA ? tokenA : tokenB).safeTransfer(msg.sender, order.amountIn);
+        
+        emit OrderCancelled(orderId, msg.sender, order.amountIn);
+    }
+    
+    /// @notice Least amount of output the owner must receive for the order to fill
+    /// @param orderId ID of the order
+    /// @return Amount of the output token, rounded up
+    function minAmountOut(uint256 orderId) public view returns (uint256) {
+        Order storage order = orders[orderId];
+        if (order.sellA) {
+            return Math.mulDiv(order.amountIn, order.targetPrice, 1e18, Math.Rounding.Up);
+        }
+        return Math.mulDiv(order.amountIn, 1e18, order.targetPrice, Math.Rounding.Up);
+    }
+    
+    /// @notice Quote an order against the pool's current reserves
+    /// @param orderId ID of the order
+    /// @return amountOut Amount the owner would receive
+    /// @return reward Amount the keeper would receive
+    function quoteOrder(uint256 orderId) public view returns (uint256 amountOut, uint256 reward) {
+        Order storage order = orders[orderId];
+        require(order.status != OrderStatus.None, "Order does not exist");
+        
+        (uint256 reserveA, uint256 reserveB) = dex.getReserves();
+        (uint256 reserveIn, uint256 reserveOut) = order.sellA ? (reserveA, reserveB) : (reserveB, reserveA);
+        uint256 received = dex.getAmountOut(order.amountIn, reserveIn, reserveOut);
+        
+        reward = (received * keeperReward) / REWARD_DENOMINATOR;
+        amountOut = received - reward;
+    }
+    
+    /// @notice Whether executing an order right now would succeed
+    /// @param orderId ID of the order
+    /// @return True if the order is open, unexpired, the pool is not paused and meets its target price
+    function isFillable(uint256 orderId) external view returns (bool) {
+        Order storage order = orders[orderId];
+        if (order.status != OrderStatus.Open || block.timestamp > order.expiry || dex.paused()) {
+            return false;
+        }
+        
+        (uint256 reserveA, uint256 reserveB) = dex.getReserves();
+        if (reserveA == 0 || reserveB == 0) {
+            return false;
+        }
+        (uint256 amountOut, uint256 reward) = quoteOrder(orderId);
+        return amountOut > 0 && amountOut + reward >= _minReceived(orderId);
+    }
+    
+    /// @notice Least amount of output the pool must send for the owner to get `minAmountOut` after the keeper reward
+    /// @param orderId ID of the order
+    /// @return Amount of the output token, rounded up
+    function _minReceived(uint256 orderId) internal view returns (uint256) {
+        return Math.mulDiv(minAmountOut(orderId), REWARD_DENOMINATOR, REWARD_DENOMINATOR - keeperReward, Math.Rounding.Up);
+    }
+}
@@ -2,14 +2,15 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /// @title MockERC20
-/// @notice A simple ERC20 token for testing purposes
-contract MockERC20 is ERC20 {
+/// @notice A simple ERC20 token with EIP-2612 permit for testing purposes
+contract MockERC20 is ERC20Permit {
     /// @notice Constructor to initialize the token with name and symbol
     /// @param name The name of the token
     /// @param symbol The symbol of the token
-    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, 1000000 * 10**18); // Mint 1 million tokens
     }
     
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title MockFeeOnTransferERC20
+/// @notice An ERC20 token that burns 1% of every transfer, for testing purposes
+contract MockFeeOnTransferERC20 is ERC20 {
+    uint256 public constant TRANSFER_FEE_BPS = 100; // 1%
+    
+    /// @notice Constructor to initialize the token with name and symbol
+    /// @param name The name of the token
+    /// @param symbol The symbol of the token
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+        _mint(msg.sender, 1000000 * 10**18); // Mint 1 million tokens
+    }
+    
+    /// @notice Mint tokens for testing
+    /// @param to The address to mint tokens to
+    /// @param amount The amount of tokens to mint
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    /// @notice Burn the transfer fee from the sender and deliver the rest
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * TRANSFER_FEE_BPS) / 10000;
+        super._transfer(from, to, amount - fee);
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+    }
+}
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./DEX.sol";
+import "./interfaces/IDEXFlashCallee.sol";
+
+/// @title MockFlashSwapReceiver
+/// @notice Flash swap receiver for testing repayment, underpayment and reentrancy
+contract MockFlashSwapReceiver is IDEXFlashCallee {
+    enum Mode {
+        Repay,          // Pay back each borrowed token plus the swap fee
+        RepayInOther,   // Pay for borrowed token B with token A, like a regular swap
+        Underpay,       // Pay back exactly what was borrowed, without the fee
+        Reenter,        // Try to swap against the pool from inside the callback
+        Keep            // Keep the borrowed tokens and pay nothing back
+    }
+    
+    DEX public immutable dex;
+    Mode public mode;
+    
+    /// @notice Constructor to bind the receiver to a pool
+    /// @param _dex Address of the DEX to borrow from
+    constructor(address _dex) {
+        dex = DEX(_dex);
+    }
+    
+    /// @notice Start a flash swap against the pool
+    /// @param amountAOut Amount of token A to borrow
+    /// @param amountBOut Amount of token B to borrow
+    /// @param _mode How the callback should behave
+    function flash(uint256 amountAOut, uint256 amountBOut, Mode _mode) external {
+        mode = _mode;
+        dex.flashSwap(amountAOut, amountBOut, address(this), "");
+    }
+    
+    /// @inheritdoc IDEXFlashCallee
+    function dexFlashCall(address initiator, uint256 amountAOut, uint256 amountBOut, bytes calldata) external override {
+        require(msg.sender == address(dex), "Unauthorized callback");
+        require(initiator == address(this), "Unauthorized initiator");
+        
+        IERC20 tokenA = IERC20(dex.tokenA());
+        IERC20 tokenB = IERC20(dex.tokenB());
+        uint256 feeDenominator = dex.FEE_DENOMINATOR();
+        uint256 swapFee = dex.swapFee();
+        
+        if (mode == Mode.Repay) {
+            tokenA.transfer(address(dex), _withFee(amountAOut, feeDenominator, swapFee));
+            tokenB.transfer(address(dex), _withFee(amountBOut, feeDenominator, swapFee));
+        } else if (mode == Mode.RepayInOther) {
+            (uint256 reserveA, uint256 reserveB) = dex.getReserves();
+            tokenA.transfer(address(dex), dex.getAmountIn(amountBOut, reserveA, reserveB));
+        } else if (mode == Mode.Underpay) {
+            tokenA.transfer(address(dex), amountAOut);
+            tokenB.transfer(address(dex), amountBOut);
+        } else if (mode == Mode.Reenter) {
+            tokenA.approve(address(dex), type(uint256).max);
+            dex.swapAForB(amountAOut);
+        }
+    }
+    
+    /// @notice Smallest repayment that covers `amount` plus the swap fee
+    function _withFee(uint256 amount, uint256 feeDenominator, uint256 swapFee) internal pure returns (uint256) {
+        if (amount == 0) {
+            return 0;
+        }
+        return (amount * feeDenominator) / (feeDenominator - swapFee) + 1;
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./StableSwapDEX.sol";
+
+/// @title MockStableSwapDEX
+/// @notice Exposes the StableSwapDEX flash swap invariant check for testing
+contract MockStableSwapDEX is StableSwapDEX {
+    /// @notice Constructor forwarding to StableSwapDEX
+    /// @param _tokenA Address of token A
+    /// @param _tokenB Address of token B
+    /// @param _amp Initial amplification coefficient, scaled by AMP_PRECISION
+    constructor(address _tokenA, address _tokenB, uint256 _amp) StableSwapDEX(_tokenA, _tokenB, _amp) {}
+    
+    /// @notice See StableSwapDEX._invariantHolds
+    function invariantHolds(uint256 balanceAAdjusted, uint256 balanceBAdjusted) external view returns (bool) {
+        return _invariantHolds(balanceAAdjusted, balanceBAdjusted);
+    }
+}
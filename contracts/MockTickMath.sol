@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./libraries/TickMath.sol";
+
+/// @title MockTickMath
+/// @notice Exposes the TickMath library for testing
+contract MockTickMath {
+    /// @notice See TickMath.getSqrtPriceAtTick
+    function getSqrtPriceAtTick(int24 tick) external pure returns (uint160) {
+        return TickMath.getSqrtPriceAtTick(tick);
+    }
+    
+    /// @notice See TickMath.getTickAtSqrtPrice
+    function getTickAtSqrtPrice(uint160 sqrtPriceX96) external pure returns (int24) {
+        return TickMath.getTickAtSqrtPrice(sqrtPriceX96);
+    }
+}
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+import "./libraries/StableSwapMath.sol";
+
+/// @title StableSwapDEX - DEX pool priced on the StableSwap curve
+/// @notice A drop-in variant of DEX for pegged pairs such as two stablecoins. Trades near the
+///         peg see far less slippage than on the constant product curve, and the curve falls
+///         back to constant-product behaviour as the balances drift apart
+/// @dev Inherits the whole DEX interface, events and LP token, and only replaces the pricing
+///      curve. Both tokens are assumed to use the same number of decimals
+contract StableSwapDEX is DEX {
+    uint256 public constant AMP_PRECISION = StableSwapMath.AMP_PRECISION;
+    uint256 public constant MAX_AMP = 1e6 * AMP_PRECISION;
+    uint256 public constant MAX_AMP_CHANGE = 10; // factor allowed per ramp
+    uint256 public constant MIN_RAMP_TIME = 1 days;
+    
+    // Amplification ramp, all values scaled by AMP_PRECISION
+    uint256 public initialAmp;
+    uint256 public futureAmp;
+    uint256 public initialAmpTime;
+    uint256 public futureAmpTime;
+    
+    event AmpRampStarted(uint256 oldAmp, uint256 newAmp, uint256 startTime, uint256 endTime);
+    event AmpRampStopped(uint256 amp, uint256 stopTime);
+    
+    /// @notice Initialize the pool with two token addresses and an amplification coefficient
+    /// @param _tokenA Address of first token
+    /// @param _tokenB Address of second token
+    /// @param _amp Amplification coefficient A, scaled by AMP_PRECISION
+    constructor(address _tokenA, address _tokenB, uint256 _amp) DEX(_tokenA, _tokenB) {
+        require(_amp > 0 && _amp <= MAX_AMP, "Invalid amplification");
+        initialAmp = _amp;
+        futureAmp = _amp;
+    }
+    
+    /// @notice Move the amplification coefficient linearly to `newAmp` by `endTime`
+    /// @dev Gradual changes stop a sudden jump in A from moving the price within one block
+    /// @param newAmp Target amplification coefficient, scaled by AMP_PRECISION
+    /// @param endTime Unix timestamp at which `newAmp` is reached
+    function rampAmp(uint256 newAmp, uint256 endTime) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(block.timestamp >= initialAmpTime + MIN_RAMP_TIME, "Ramp too frequent");
+        require(endTime >= block.timestamp + MIN_RAMP_TIME, "Ramp too short");
+        require(newAmp > 0 && newAmp <= MAX_AMP, "Invalid amplification");
+        
+        uint256 currentAmp = getAmp();
+        if (newAmp < currentAmp) {
+            require(newAmp * MAX_AMP_CHANGE >= currentAmp, "Amp change too large");
+        } else {
+            require(newAmp <= currentAmp * MAX_AMP_CHANGE, "Amp change too large");
+        }
+        
+        initialAmp = currentAmp;
+        futureAmp = newAmp;
+        initialAmpTime = block.timestamp;
+        futureAmpTime = endTime;
+        
+        emit AmpRampStarted(currentAmp, newAmp, block.timestamp, endTime);
+    }
+    
+    /// @notice Freeze the amplification coefficient at its current value
+    function stopRampAmp() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 currentAmp = getAmp();
+        initialAmp = currentAmp;
+        futureAmp = currentAmp;
+        initialAmpTime = block.timestamp;
+        futureAmpTime = block.timestamp;
+        
+        emit AmpRampStopped(currentAmp, block.timestamp);
+    }
+    
+    /// @notice Current amplification coefficient, interpolated along any active ramp
+    /// @return Amplification coefficient A, scaled by AMP_PRECISION
+    function getAmp() public view returns (uint256) {
+        if (block.timestamp >= futureAmpTime) {
+            return futureAmp;
+        }
+        
+        uint256 elapsed = block.timestamp - initialAmpTime;
+        uint256 duration = futureAmpTime - initialAmpTime;
+        if (futureAmp > initialAmp) {
+            return initialAmp + ((futureAmp - initialAmp) * elapsed) / duration;
+        }
+        return initialAmp - ((initialAmp - futureAmp) * elapsed) / duration;
+    }
+    
+    /// @notice Calculate the output amount for a given input amount on the StableSwap curve
+    /// @param amountIn Amount of token input
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountOut Amount of token output (after swap fee)
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut)
+        public
+        view
+        override
+        returns (uint256 amountOut)
+    {
+        require(amountIn > 0, "Insufficient input amount");
+        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
+        
+        uint256 amp = getAmp();
+        uint256 d = StableSwapMath.getD(reserveIn, reserveOut, amp);
+        uint256 amountInWithFee = (amountIn * (FEE_DENOMINATOR - swapFee)) / FEE_DENOMINATOR;
+        uint256 newReserveOut = StableSwapMath.getY(reserveIn + amountInWithFee, d, amp);
+        
+        // One unit is kept back to cover the Newton tolerance
+        amountOut = reserveOut > newReserveOut + 1 ? reserveOut - newReserveOut - 1 : 0;
+    }
+    
+    /// @notice Calculate the input amount required to receive a given output amount on the StableSwap curve
+    /// @param amountOut Desired amount of token output
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountIn Minimum amount of token input (including swap fee)
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut)
+        public
+        view
+        override
+        returns (uint256 amountIn)
+    {
+        require(amountOut > 0, "Insufficient output amount");
+        require(reserveIn > 0 && reserveOut > amountOut, "Insufficient liquidity");
+        
+        uint256 amp = getAmp();
+        uint256 d = StableSwapMath.getD(reserveIn, reserveOut, amp);
+        uint256 newReserveIn = StableSwapMath.getY(reserveOut - amountOut, d, amp);
+        
+        // Round up, with the same one-unit margin getAmountOut keeps back
+        uint256 amountInAfterFee = newReserveIn + 2 - reserveIn;
+        amountIn = (amountInAfterFee * FEE_DENOMINATOR) / (FEE_DENOMINATOR - swapFee) + 1;
+    }
+    
+    /// @notice Whether fee-adjusted balances keep the StableSwap invariant at or above the reserves'
+    /// @param balanceAAdjusted Balance of token A minus the fee on the amount paid in, scaled by FEE_DENOMINATOR
+    /// @param balanceBAdjusted Balance of token B minus the fee on the amount paid in, scaled by FEE_DENOMINATOR
+    /// @return True if the invariant holds, false if either balance rounds down to zero
+    function _invariantHolds(uint256 balanceAAdjusted, uint256 balanceBAdjusted) internal view override returns (bool) {
+        uint256 balanceA = balanceAAdjusted / FEE_DENOMINATOR;
+        uint256 balanceB = balanceBAdjusted / FEE_DENOMINATOR;
+        // getD divides by both balances
+        if (balanceA == 0 || balanceB == 0) {
+            return false;
+        }
+        uint256 amp = getAmp();
+        return StableSwapMath.getD(balanceA, balanceB, amp) >= StableSwapMath.getD(reserveA, reserveB, amp);
+    }
+    
+    /// @notice Marginal price of token A in terms of token B on the StableSwap curve
+    /// @return Price scaled by 1e18, or 0 while the pool holds no token B
+    function _spotPrice() internal view override returns (uint256) {
+        if (reserveB == 0) {
+            return 0;
+        }
+        return StableSwapMath.spotPrice(reserveA, reserveB, getAmp());
+    }
+    
+    /// @notice Amount of a single-token deposit to swap so the remainder matches the new pool ratio
+    /// @dev Near the peg a swap returns about as much as it takes in, so solving
+    ///      (amountIn - s) / (reserveIn + s) = s / (reserveOut - s) for s gives
+    ///      s = amountIn * reserveOut / (amountIn + reserveIn + reserveOut). zapIn refunds
+    ///      whatever does not fit the ratio
+    /// @param amountIn Total amount of the input token being zapped
+    /// @param reserveIn Reserve of the input token
+    /// @return swapAmount Portion of `amountIn` to swap for the other token
+    function _zapSwapAmount(uint256 amountIn, uint256 reserveIn) internal view override returns (uint256 swapAmount) {
+        uint256 totalReserves = reserveA + reserveB;
+        swapAmount = (amountIn * (totalReserves - reserveIn)) / (amountIn + totalReserves);
+    }
+}
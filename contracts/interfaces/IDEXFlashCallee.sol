@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @title IDEXFlashCallee - Receiver of DEX flash swaps
+/// @notice Implemented by contracts that borrow pool reserves through DEX.flashSwap
+interface IDEXFlashCallee {
+    /// @notice Called by the pool after sending the borrowed tokens
+    /// @dev Must pay enough of either token back to the pool before returning
+    /// @param initiator Address that called flashSwap
+    /// @param amountAOut Amount of token A sent to the receiver
+    /// @param amountBOut Amount of token B sent to the receiver
+    /// @param data Arbitrary data forwarded from flashSwap
+    function dexFlashCall(address initiator, uint256 amountAOut, uint256 amountBOut, bytes calldata data) external;
+}
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/// @title LiquidityMath - Token amounts and prices for concentrated liquidity
+/// @notice Relates liquidity L, square root prices in Q64.96 and token amounts, where token A
+///         is the base token and prices are token B per token A
+/// @dev Within a range the pool behaves like a constant product pool with virtual reserves
+///      x = L / sqrt(P) and y = L * sqrt(P). Amounts paid to the pool round up and amounts
+///      paid out round down, so rounding always favours the pool
+library LiquidityMath {
+    uint256 internal constant Q96 = 1 << 96;
+    
+    /// @notice Amount of token A between two prices: L * (sqrtB - sqrtA) / (sqrtA * sqrtB)
+    /// @param sqrtPriceAX96 One price bound
+    /// @param sqrtPriceBX96 The other price bound
+    /// @param liquidity Liquidity across the interval
+    /// @param roundUp Whether to round up instead of down
+    /// @return amountA Amount of token A
+    function getAmountADelta(uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint128 liquidity, bool roundUp)
+        internal
+        pure
+        returns (uint256 amountA)
+    {
+        if (sqrtPriceAX96 > sqrtPriceBX96) (sqrtPriceAX96, sqrtPriceBX96) = (sqrtPriceBX96, sqrtPriceAX96);
+        
+        uint256 numerator1 = uint256(liquidity) << 96;
+        uint256 numerator2 = sqrtPriceBX96 - sqrtPriceAX96;
+        if (roundUp) {
+            amountA = Math.ceilDiv(Math.mulDiv(numerator1, numerator2, sqrtPriceBX96, Math.Rounding.Up), sqrtPriceAX96);
+        } else {
+            amountA = Math.mulDiv(numerator1, numerator2, sqrtPriceBX96) / sqrtPriceAX96;
+        }
+    }
+    
+    /// @notice Amount of token B between two prices: L * (sqrtB - sqrtA)
+    /// @param sqrtPriceAX96 One price bound
+    /// @param sqrtPriceBX96 The other price bound
+    /// @param liquidity Liquidity across the interval
+    /// @param roundUp Whether to round up instead of down
+    /// @return amountB Amount of token B
+    function getAmountBDelta(uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint128 liquidity, bool roundUp)
+        internal
+        pure
+        returns (uint256 amountB)
+    {
+        if (sqrtPriceAX96 > sqrtPriceBX96) (sqrtPriceAX96, sqrtPriceBX96) = (sqrtPriceBX96, sqrtPriceAX96);
+        
+        amountB = Math.mulDiv(
+            liquidity,
+            sqrtPriceBX96 - sqrtPriceAX96,
+            Q96,
+            roundUp ? Math.Rounding.Up : Math.Rounding.Down
+        );
+    }
+    
+    /// @notice Price after adding `amountA` of token A, rounded up
+    /// @dev sqrtP' = L * sqrtP / (L + amountA * sqrtP), with a fallback form when the product overflows
+    /// @param sqrtPriceX96 Starting price
+    /// @param liquidity Active liquidity, non-zero
+    /// @param amountA Amount of token A added
+    /// @return Price after the trade
+    function getNextSqrtPriceFromAmountA(uint160 sqrtPriceX96, uint128 liquidity, uint256 amountA)
+        internal
+        pure
+        returns (uint160)
+    {
+        if (amountA == 0) return sqrtPriceX96;
+        
+        uint256 numerator1 = uint256(liquidity) << 96;
+        unchecked {
+            uint256 product = amountA * sqrtPriceX96;
+            if (product / amountA == sqrtPriceX96) {
+                uint256 denominator = numerator1 + product;
+                if (denominator >= numerator1) {
+                    return SafeCast.toUint160(Math.mulDiv(numerator1, sqrtPriceX96, denominator, Math.Rounding.Up));
+                }
+            }
+        }
+        return SafeCast.toUint160(Math.ceilDiv(numerator1, numerator1 / sqrtPriceX96 + amountA));
+    }
+    
+    /// @notice Price after adding `amountB` of token B, rounded down
+    /// @dev sqrtP' = sqrtP + amountB / L
+    /// @param sqrtPriceX96 Starting price
+    /// @param liquidity Active liquidity, non-zero
+    /// @param amountB Amount of token B added
+    /// @return Price after the trade
+    function getNextSqrtPriceFromAmountB(uint160 sqrtPriceX96, uint128 liquidity, uint256 amountB)
+        internal
+        pure
+        returns (uint160)
+    {
+        return SafeCast.toUint160(sqrtPriceX96 + Math.mulDiv(amountB, Q96, liquidity));
+    }
+    
+    /// @notice Largest liquidity that the given amounts can back over a price range
+    /// @param sqrtPriceX96 Current price
+    /// @param sqrtPriceLowerX96 Lower bound of the range
+    /// @param sqrtPriceUpperX96 Upper bound of the range
+    /// @param amountA Available amount of token A
+    /// @param amountB Available amount of token B
+    /// @return liquidity Liquidity for the range
+    function getLiquidityForAmounts(
+        uint160 sqrtPriceX96,
+        uint160 sqrtPriceLowerX96,
+        uint160 sqrtPriceUpperX96,
+        uint256 amountA,
+        uint256 amountB
+    ) internal pure returns (uint128 liquidity) {
+        if (sqrtPriceX96 <= sqrtPriceLowerX96) {
+            // Price below the range: the position is entirely token A
+            liquidity = _liquidityForAmountA(sqrtPriceLowerX96, sqrtPriceUpperX96, amountA);
+        } else if (sqrtPriceX96 < sqrtPriceUpperX96) {
+            uint128 liquidityA = _liquidityForAmountA(sqrtPriceX96, sqrtPriceUpperX96, amountA);
+            uint128 liquidityB = _liquidityForAmountB(sqrtPriceLowerX96, sqrtPriceX96, amountB);
+            liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+        } else {
+            // Price above the range: the position is entirely token B
+            liquidity = _liquidityForAmountB(sqrtPriceLowerX96, sqrtPriceUpperX96, amountB);
+        }
+    }
+    
+    /// @notice Liquidity backed by `amountA` between two prices: amountA * sqrtA * sqrtB / (sqrtB - sqrtA)
+    function _liquidityForAmountA(uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint256 amountA)
+        private
+        pure
+        returns (uint128)
+    {
+        uint256 intermediate = Math.mulDiv(sqrtPriceAX96, sqrtPriceBX96, Q96);
+        return SafeCast.toUint128(Math.mulDiv(amountA, intermediate, sqrtPriceBX96 - sqrtPriceAX96));
+    }
+    
+    /// @notice Liquidity backed by `amountB` between two prices: amountB / (sqrtB - sqrtA)
+    function _liquidityForAmountB(uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint256 amountB)
+        private
+        pure
+        returns (uint128)
+    {
+        return SafeCast.toUint128(Math.mulDiv(amountB, Q96, sqrtPriceBX96 - sqrtPriceAX96));
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title StableSwapMath - Invariant math for two-token StableSwap pools
+/// @notice Solves the StableSwap invariant for balances x and y with amplification A:
+///         4A(x + y) + D = 4AD + D^3 / (4xy)
+/// @dev Amplification values are scaled by AMP_PRECISION. D and y have no closed form and are
+///      found by Newton's method, which converges from above to within one unit
+library StableSwapMath {
+    uint256 internal constant AMP_PRECISION = 100;
+    uint256 private constant MAX_ITERATIONS = 255;
+    
+    /// @notice Invariant D of the pool: the total balance when both balances are equal
+    /// @param x Balance of one token, non-zero
+    /// @param y Balance of the other token, non-zero
+    /// @param amp Amplification coefficient, scaled by AMP_PRECISION
+    /// @return d The invariant
+    function getD(uint256 x, uint256 y, uint256 amp) internal pure returns (uint256 d) {
+        uint256 sum = x + y;
+        uint256 ann = amp * 4;
+        d = sum;
+        for (uint256 i = 0; i < MAX_ITERATIONS; i++) {
+            // dP = D^3 / (4xy)
+            uint256 dP = (((d * d) / (x * 2)) * d) / (y * 2);
+            uint256 previous = d;
+            d = (((ann * sum) / AMP_PRECISION + dP * 2) * d) / (((ann - AMP_PRECISION) * d) / AMP_PRECISION + dP * 3);
+            if (_within1(d, previous)) {
+                return d;
+            }
+        }
+        revert("D did not converge");
+    }
+    
+    /// @notice Balance of one token that keeps the invariant at `d` given the other token's balance
+    /// @param x Balance of the other token, non-zero
+    /// @param d Invariant to preserve
+    /// @param amp Amplification coefficient, scaled by AMP_PRECISION
+    /// @return y The balance of the token being solved for
+    function getY(uint256 x, uint256 d, uint256 amp) internal pure returns (uint256 y) {
+        uint256 ann = amp * 4;
+        uint256 c = (((d * d) / (x * 2)) * d * AMP_PRECISION) / (ann * 2);
+        uint256 b = x + (d * AMP_PRECISION) / ann;
+        y = d;
+        for (uint256 i = 0; i < MAX_ITERATIONS; i++) {
+            uint256 previous = y;
+            y = (y * y + c) / (y * 2 + b - d);
+            if (_within1(y, previous)) {
+                return y;
+            }
+        }
+        revert("Y did not converge");
+    }
+    
+    /// @notice Marginal price of x in terms of y, -dy/dx along the curve
+    /// @dev -dy/dx = (xy + D^3 / (16Ax)) / (xy + D^3 / (16Ay)), which tends to y / x as A -> 0
+    ///      and to 1 as A grows
+    /// @param x Balance of the base token, non-zero
+    /// @param y Balance of the quote token, non-zero
+    /// @param amp Amplification coefficient, scaled by AMP_PRECISION
+    /// @return price Price scaled by 1e18
+    function spotPrice(uint256 x, uint256 y, uint256 amp) internal pure returns (uint256 price) {
+        uint256 d = getD(x, y, amp);
+        uint256 xy = x * y;
+        uint256 numerator = xy + Math.mulDiv(d * d, d * AMP_PRECISION, amp * 16 * x);
+        uint256 denominator = xy + Math.mulDiv(d * d, d * AMP_PRECISION, amp * 16 * y);
+        price = Math.mulDiv(numerator, 1e18, denominator);
+    }
+    
+    /// @notice Whether two Newton iterates differ by at most one
+    function _within1(uint256 a, uint256 b) private pure returns (bool) {
+        return a > b ? a - b <= 1 : b - a <= 1;
+    }
+}
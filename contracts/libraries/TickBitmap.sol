@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title TickBitmap - Packed record of which ticks are initialized
+/// @notice One bit per usable tick: tick / tickSpacing is split into a word index (its upper bits)
+///         and a bit within the 256-bit word (its lowest 8 bits)
+/// @dev Inserting or clearing a tick flips one bit, and finding the next initialized tick reads
+///      one word, so neither cost grows with the number of initialized ticks
+library TickBitmap {
+    /// @notice Word index and bit of a compressed tick
+    /// @param compressed Tick divided by the tick spacing
+    /// @return wordPos Key of the word in the bitmap
+    /// @return bitPos Bit within the word
+    function position(int24 compressed) internal pure returns (int16 wordPos, uint8 bitPos) {
+        wordPos = int16(compressed >> 8);
+        bitPos = uint8(int8(compressed % 256));
+    }
+    
+    /// @notice Mark an uninitialized tick as initialized, or the reverse
+    /// @param self The bitmap
+    /// @param tick Tick to flip, a multiple of `tickSpacing`
+    /// @param tickSpacing Spacing between usable ticks
+    function flipTick(mapping(int16 => uint256) storage self, int24 tick, int24 tickSpacing) internal {
+        require(tick % tickSpacing == 0, "Tick not aligned");
+        (int16 wordPos, uint8 bitPos) = position(tick / tickSpacing);
+        self[wordPos] ^= 1 << bitPos;
+    }
+    
+    /// @notice Next initialized tick in the same word as `tick`, or the word's last tick if there is none
+    /// @dev Searching at or below `tick` (price falling) stays in the word holding `tick`; searching
+    ///      strictly above it starts from the next usable tick
+    /// @param self The bitmap
+    /// @param tick Tick to search from
+    /// @param tickSpacing Spacing between usable ticks
+    /// @param lte True to search at or below `tick`, false for strictly above
+    /// @return next The initialized tick found, or the farthest tick of the word in that direction
+    /// @return initialized Whether `next` is initialized
+    function nextInitializedTickWithinOneWord(
+        mapping(int16 => uint256) storage self,
+        int24 tick,
+        int24 tickSpacing,
+        bool lte
+    ) internal view returns (int24 next, bool initialized) {
+        int24 compressed = tick / tickSpacing;
+        if (tick < 0 && tick % tickSpacing != 0) compressed--; // round towards negative infinity
+        
+        if (lte) {
+            (int16 wordPos, uint8 bitPos) = position(compressed);
+            // The bit at bitPos and every bit below it
+            uint256 mask = (1 << bitPos) - 1 + (1 << bitPos);
+            uint256 masked = self[wordPos] & mask;
+            
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed - int24(uint24(bitPos - Math.log2(masked)))) * tickSpacing
+                : (compressed - int24(uint24(bitPos))) * tickSpacing;
+        } else {
+            (int16 wordPos, uint8 bitPos) = position(compressed + 1);
+            // The bit at bitPos and every bit above it
+            uint256 mask = ~((1 << bitPos) - 1);
+            uint256 masked = self[wordPos] & mask;
+            
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed + 1 + int24(uint24(_leastSignificantBit(masked) - bitPos))) * tickSpacing
+                : (compressed + 1 + int24(uint24(type(uint8).max - bitPos))) * tickSpacing;
+        }
+    }
+    
+    /// @notice Index of the lowest set bit of a non-zero word
+    function _leastSignificantBit(uint256 x) private pure returns (uint256) {
+        // x & -x isolates the lowest set bit
+        unchecked {
+            return Math.log2(x & (~x + 1));
+        }
+    }
+}
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title TickMath - Conversion between ticks and square root prices
+/// @notice Tick i corresponds to the price 1.0001^i; prices are stored as sqrt(price) in Q64.96
+library TickMath {
+    // Ticks bounding the prices whose square root fits in Q64.96
+    int24 internal constant MIN_TICK = -887272;
+    int24 internal constant MAX_TICK = 887272;
+    
+    // getSqrtPriceAtTick(MIN_TICK) and getSqrtPriceAtTick(MAX_TICK)
+    uint160 internal constant MIN_SQRT_PRICE = 4295128739;
+    uint160 internal constant MAX_SQRT_PRICE = 1461446703485210103287273052203988822378723970342;
+    
+    /// @notice Square root price at a tick, sqrt(1.0001^tick) * 2^96
+    /// @dev Multiplies together the Q128 factors 1 / sqrt(1.0001)^(2^i) for every set bit i of |tick|,
+    ///      inverts the result for positive ticks and rounds up to Q64.96
+    /// @param tick Tick to convert, within [MIN_TICK, MAX_TICK]
+    /// @return sqrtPriceX96 Square root price in Q64.96
+    function getSqrtPriceAtTick(int24 tick) internal pure returns (uint160 sqrtPriceX96) {
+        uint256 absTick = tick < 0 ? uint256(-int256(tick)) : uint256(int256(tick));
+        require(absTick <= uint256(int256(MAX_TICK)), "Tick out of range");
+        
+        uint256 ratio = absTick & 0x1 != 0 ? 0xfffcb933bd6fad37aa2d162d1a594001 : 0x100000000000000000000000000000000;
+        if (absTick & 0x2 != 0) ratio = (ratio * 0xfff97272373d413259a46990580e213a) >> 128;
+        if (absTick & 0x4 != 0) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdcc) >> 128;
+        if (absTick & 0x8 != 0) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0) >> 128;
+        if (absTick & 0x10 != 0) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644) >> 128;
+        if (absTick & 0x20 != 0) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0) >> 128;
+        if (absTick & 0x40 != 0) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861) >> 128;
+        if (absTick & 0x80 != 0) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053) >> 128;
+        if (absTick & 0x100 != 0) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4) >> 128;
+        if (absTick & 0x200 != 0) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54) >> 128;
+        if (absTick & 0x400 != 0) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3) >> 128;
+        if (absTick & 0x800 != 0) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9) >> 128;
+        if (absTick & 0x1000 != 0) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825) >> 128;
+        if (absTick & 0x2000 != 0) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5) >> 128;
+        if (absTick & 0x4000 != 0) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7) >> 128;
+        if (absTick & 0x8000 != 0) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6) >> 128;
+        if (absTick & 0x10000 != 0) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9) >> 128;
+        if (absTick & 0x20000 != 0) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604) >> 128;
+        if (absTick & 0x40000 != 0) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98) >> 128;
+        if (absTick & 0x80000 != 0) ratio = (ratio * 0x48a170391f7dc42444e8fa2) >> 128;
+        
+        if (tick > 0) ratio = type(uint256).max / ratio;
+        
+        // Q128.128 to Q64.96, rounding up so the result is never below the exact price
+        sqrtPriceX96 = uint160((ratio >> 32) + (ratio % (1 << 32) == 0 ? 0 : 1));
+    }
+    
+    /// @notice Greatest tick whose square root price is at most `sqrtPriceX96`
+    /// @dev Computes log2 of the price ratio in Q64.64 (integer part from the most significant bit,
+    ///      then 14 fractional bits by repeated squaring), converts it to log base sqrt(1.0001) and
+    ///      settles the one-tick uncertainty of that approximation with a single getSqrtPriceAtTick
+    /// @param sqrtPriceX96 Square root price in Q64.96, within [MIN_SQRT_PRICE, MAX_SQRT_PRICE]
+    /// @return tick Tick such that getSqrtPriceAtTick(tick) <= sqrtPriceX96 < getSqrtPriceAtTick(tick + 1)
+    function getTickAtSqrtPrice(uint160 sqrtPriceX96) internal pure returns (int24 tick) {
+        require(sqrtPriceX96 >= MIN_SQRT_PRICE && sqrtPriceX96 <= MAX_SQRT_PRICE, "Price out of range");
+        if (sqrtPriceX96 == MAX_SQRT_PRICE) return MAX_TICK;
+        
+        // Q128.128 ratio, normalized so that r holds its 128 most significant bits
+        uint256 ratio = uint256(sqrtPriceX96) << 32;
+        uint256 msb = Math.log2(ratio);
+        uint256 r = msb >= 128 ? ratio >> (msb - 127) : ratio << (127 - msb);
+        int256 log2Ratio = (int256(msb) - 128) << 64;
+        
+        unchecked {
+            for (uint256 i = 63; i > 49; i--) {
+                r = (r * r) >> 127;
+                uint256 bit = r >> 128;
+                log2Ratio |= int256(bit << i);
+                r >>= bit;
+            }
+        }
+        
+        // log_sqrt(1.0001)(ratio) in Q128.128, with error bounds taken from Uniswap V3's TickMath
+        int256 logSqrt10001 = log2Ratio * 255738958999603826347141;
+        int24 tickLow = int24((logSqrt10001 - 3402992956809132418596140100660247210) >> 128);
+        int24 tickHigh = int24((logSqrt10001 + 291339464771989622907027621153398088495) >> 128);
+        
+        tick = tickLow == tickHigh || getSqrtPriceAtTick(tickHigh) > sqrtPriceX96 ? tickLow : tickHigh;
+    }
+}
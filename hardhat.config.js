@@ -1,4 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/deploy");
+require("./tasks/gas");
+
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
 
 module.exports = {
   solidity: {
@@ -13,6 +17,28 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337
+    },
+    localhost: {
+      url: "http://127.0.0.1:8545"
+    },
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
+      accounts
+    }
+  },
+  // Per-network settings for `npx hardhat deploy-dex` and scripts/deploy.js
+  dexDeploy: {
+    hardhat: {
+      deployMocks: true,
+      seedLiquidity: { amountA: "1000", amountB: "2000" }
+    },
+    localhost: {
+      deployMocks: true,
+      seedLiquidity: { amountA: "1000", amountB: "2000" }
+    },
+    sepolia: {
+      tokenA: process.env.SEPOLIA_TOKEN_A,
+      tokenB: process.env.SEPOLIA_TOKEN_B
     }
   }
 };
@@ -0,0 +1,46 @@
+/**
+ * File-backed store for indexer state.
+ *
+ * BigInt values are written as decimal strings with an `n` suffix and revived
+ * on load, and every save goes through a temporary file so a crash mid-write
+ * never leaves a truncated store behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BIGINT_PATTERN = /^-?\d+n$/;
+
+class JsonStore {
+    /**
+     * @param {string} file Path of the JSON file
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * @returns {object|null} Stored state, or null when nothing has been saved yet
+     */
+    load() {
+        if (!fs.existsSync(this.file)) return null;
+        return JSON.parse(fs.readFileSync(this.file, "utf8"), (key, value) =>
+            typeof value === "string" && BIGINT_PATTERN.test(value) ? BigInt(value.slice(0, -1)) : value
+        );
+    }
+
+    /**
+     * @param {object} data State to persist
+     */
+    save(data) {
+        const json = JSON.stringify(data, (key, value) =>
+            typeof value === "bigint" ? `${value}n` : value
+        , 2);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, json);
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,231 @@
+/**
+ * Replays a DEX pool's logs into a store.
+ *
+ * Indexed state is the raw event list (the SDK's pool events plus flash swaps
+ * and LP token transfers) and a snapshot (hash, timestamp, reserves, fee
+ * settings) of every block that touched the pool; everything else is derived
+ * by ./queries.js. Each batch is persisted as soon as it is indexed, so a
+ * restarted indexer resumes from `lastBlock`. Before resuming, the stored
+ * block hashes are compared with the chain and anything past the last block
+ * still on the canonical chain is dropped and re-indexed.
+ */
+
+const { ethers } = require("ethers");
+const { DEX_ABI } = require("../sdk/abi");
+const { decodeLog } = require("../sdk/events");
+
+const POOL_ABI = [
+    ...DEX_ABI,
+    "function protocolFeeShare() view returns (uint256)",
+    "event FlashSwap(address indexed initiator, address indexed to, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+const STORE_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Events the SDK does not decode: flash swaps pay LP fees, and LP token
+// transfers are needed to attribute fees to holders
+const POOL_DECODERS = {
+    FlashSwap: (args) => ({
+        initiator: args.initiator,
+        to: args.to,
+        amountAOut: args.amountAOut.toBigInt(),
+        amountBOut: args.amountBOut.toBigInt(),
+        amountAIn: args.amountAIn.toBigInt(),
+        amountBIn: args.amountBIn.toBigInt()
+    }),
+    Transfer: (args) => ({
+        from: args.from,
+        to: args.to,
+        value: args.value.toBigInt()
+    })
+};
+
+class PoolIndexer {
+    /**
+     * @param {ethers.providers.Provider} provider
+     * @param {string} pool Address of the DEX pool
+     * @param {{ load(): object|null, save(data: object): void }} store
+     * @param {{ startBlock?: number, batchSize?: number, confirmations?: number }} [options]
+     *        `startBlock` is usually the pool's deployment block; `confirmations` keeps the
+     *        indexer that many blocks behind the head
+     */
+    constructor(provider, pool, store, options = {}) {
+        this.provider = provider;
+        this.pool = new ethers.Contract(pool, POOL_ABI, provider);
+        this.store = store;
+        this.startBlock = options.startBlock ?? 0;
+        this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+        this.confirmations = options.confirmations ?? 0;
+        this.data = null;
+    }
+
+    /**
+     * Load the stored state, creating it on first run.
+     * @returns {Promise<object>}
+     */
+    async load() {
+        if (this.data) return this.data;
+
+        const stored = this.store.load();
+        if (stored) {
+            if (stored.version !== STORE_VERSION) throw new Error("Unsupported store version");
+            if (stored.pool.toLowerCase() !== this.pool.address.toLowerCase()) {
+                throw new Error("Store belongs to a different pool");
+            }
+            this.data = stored;
+            return this.data;
+        }
+
+        const [tokenA, tokenB, initialSupply] = await Promise.all([
+            this.pool.tokenA(),
+            this.pool.tokenB(),
+            this._supplyBefore(this.startBlock)
+        ]);
+        this.data = {
+            version: STORE_VERSION,
+            pool: this.pool.address,
+            tokenA,
+            tokenB,
+            startBlock: this.startBlock,
+            initialSupply,
+            lastBlock: this.startBlock - 1,
+            lastBlockHash: null,
+            blocks: [],
+            events: []
+        };
+        return this.data;
+    }
+
+    /**
+     * Index every block up to the confirmed head.
+     * @returns {Promise<{ fromBlock: number, toBlock: number, newEvents: number, reorgedFrom: number|null }>}
+     *          `reorgedFrom` is the first block that was dropped, or null when no reorg was found
+     */
+    async sync() {
+        const data = await this.load();
+        const reorgedFrom = await this._rollbackReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const fromBlock = data.lastBlock + 1;
+        let newEvents = 0;
+
+        for (let start = fromBlock; start <= head; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize - 1, head);
+            newEvents += await this._indexRange(start, end);
+        }
+
+        return { fromBlock, toBlock: Math.max(head, data.lastBlock), newEvents, reorgedFrom };
+    }
+
+    /**
+     * Fetch, decode and persist the pool's logs in `[fromBlock, toBlock]`.
+     * @returns {Promise<number>} Number of events indexed
+     */
+    async _indexRange(fromBlock, toBlock) {
+        const data = this.data;
+        const logs = await this.provider.getLogs({ address: this.pool.address, fromBlock, toBlock });
+
+        const events = logs.map((log) => this._decode(log)).filter((event) => event !== null);
+        const blockNumbers = [...new Set(events.map((event) => event.blockNumber))];
+        for (const number of blockNumbers) {
+            data.blocks.push(await this._snapshot(number, logs.find((log) => log.blockNumber === number)));
+        }
+        data.events.push(...events);
+
+        const last = await this.provider.getBlock(toBlock);
+        data.lastBlock = toBlock;
+        data.lastBlockHash = last.hash;
+        this.store.save(data);
+        return events.length;
+    }
+
+    _decode(log) {
+        const decoded = decodeLog(log);
+        if (decoded) return decoded;
+
+        let parsed;
+        try {
+            parsed = this.pool.interface.parseLog(log);
+        } catch (err) {
+            return null;
+        }
+        const decode = POOL_DECODERS[parsed.name];
+        if (!decode) return null;
+        return {
+            event: parsed.name,
+            pool: log.address,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            ...decode(parsed.args)
+        };
+    }
+
+    /**
+     * LP token supply at the end of the block before `blockNumber`.
+     * @returns {Promise<bigint>} 0 when the pool was not deployed yet
+     */
+    async _supplyBefore(blockNumber) {
+        if (blockNumber === 0) return 0n;
+        const code = await this.provider.getCode(this.pool.address, blockNumber - 1);
+        if (code === "0x") return 0n;
+        return (await this.pool.totalSupply({ blockTag: blockNumber - 1 })).toBigInt();
+    }
+
+    async _snapshot(blockNumber, log) {
+        const overrides = { blockTag: blockNumber };
+        const [block, reserves, swapFee, protocolFeeShare] = await Promise.all([
+            this.provider.getBlock(log.blockHash),
+            this.pool.getReserves(overrides),
+            this.pool.swapFee(overrides),
+            this.pool.protocolFeeShare(overrides)
+        ]);
+        return {
+            number: blockNumber,
+            hash: block.hash,
+            timestamp: block.timestamp,
+            reserveA: reserves._reserveA.toBigInt(),
+            reserveB: reserves._reserveB.toBigInt(),
+            swapFee: swapFee.toBigInt(),
+            protocolFeeShare: protocolFeeShare.toBigInt()
+        };
+    }
+
+    /**
+     * Drop indexed blocks that are no longer on the canonical chain.
+     * @returns {Promise<number|null>} First dropped block, or null when the stored tip is canonical
+     */
+    async _rollbackReorg() {
+        const data = this.data;
+        if (data.lastBlockHash === null) return null;
+
+        const head = await this.provider.getBlockNumber();
+        if (await this._isCanonical(data.lastBlock, data.lastBlockHash, head)) return null;
+
+        // Walk back to the newest stored block that survived the reorg
+        let ancestor = { number: data.startBlock - 1, hash: null };
+        for (let i = data.blocks.length - 1; i >= 0; i--) {
+            const block = data.blocks[i];
+            if (await this._isCanonical(block.number, block.hash, head)) {
+                ancestor = block;
+                break;
+            }
+        }
+
+        data.blocks = data.blocks.filter((block) => block.number <= ancestor.number);
+        data.events = data.events.filter((event) => event.blockNumber <= ancestor.number);
+        data.lastBlock = ancestor.number;
+        data.lastBlockHash = ancestor.hash;
+        this.store.save(data);
+        return ancestor.number + 1;
+    }
+
+    async _isCanonical(number, hash, head) {
+        if (number > head) return false;
+        const block = await this.provider.getBlock(number);
+        return block !== null && block.hash === hash;
+    }
+}
+
+module.exports = { PoolIndexer };
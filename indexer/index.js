@@ -0,0 +1,15 @@
+/**
+ * Event indexer for DEX pools.
+ *
+ * @example
+ * const { PoolIndexer, JsonStore, queries } = require("./indexer");
+ * const indexer = new PoolIndexer(provider, poolAddress, new JsonStore("data/pool.json"));
+ * await indexer.sync();
+ * const daily = queries.volumeByPeriod(indexer.data, 86400);
+ */
+
+const { PoolIndexer } = require("./PoolIndexer");
+const { JsonStore } = require("./JsonStore");
+const queries = require("./queries");
+
+module.exports = { PoolIndexer, JsonStore, queries };
@@ -0,0 +1,171 @@
+/**
+ * Read-only queries over the state built by PoolIndexer.
+ *
+ * All functions are pure: they take the indexed data (`indexer.data` or
+ * `store.load()`) and return plain objects with BigInt amounts.
+ */
+
+const { FEE_DENOMINATOR, getPrice } = require("../sdk/math");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function blockIndex(data) {
+    return new Map(data.blocks.map((block) => [block.number, block]));
+}
+
+/**
+ * Every address that has ever deposited liquidity.
+ * @param {object} data
+ * @returns {string[]}
+ */
+function liquidityProviders(data) {
+    const providers = data.events
+        .filter((event) => event.event === "LiquidityAdded")
+        .map((event) => event.provider);
+    return [...new Set(providers)];
+}
+
+/**
+ * Deposits and withdrawals made by one liquidity provider.
+ * @param {object} data
+ * @param {string} provider
+ * @returns {{ deposits: object[], withdrawals: object[], depositedA: bigint, depositedB: bigint,
+ *          withdrawnA: bigint, withdrawnB: bigint }}
+ */
+function lpActivity(data, provider) {
+    const blocks = blockIndex(data);
+    const address = provider.toLowerCase();
+    const entry = (event) => ({
+        blockNumber: event.blockNumber,
+        timestamp: blocks.get(event.blockNumber).timestamp,
+        transactionHash: event.transactionHash,
+        amountA: event.amountA,
+        amountB: event.amountB,
+        liquidity: event.liquidity
+    });
+    const sum = (entries, key) => entries.reduce((total, item) => total + item[key], 0n);
+
+    const ofProvider = (name) => data.events
+        .filter((event) => event.event === name && event.provider.toLowerCase() === address)
+        .map(entry);
+    const deposits = ofProvider("LiquidityAdded");
+    const withdrawals = ofProvider("LiquidityRemoved");
+
+    return {
+        deposits,
+        withdrawals,
+        depositedA: sum(deposits, "amountA"),
+        depositedB: sum(deposits, "amountB"),
+        withdrawnA: sum(withdrawals, "amountA"),
+        withdrawnB: sum(withdrawals, "amountB")
+    };
+}
+
+/**
+ * Swap and flash swap fees accrued to each LP token holder.
+ *
+ * The LP part of every fee (the fee minus the protocol's share) is split pro
+ * rata over LP balances at the time of the trade. A flash swap pays the fee on
+ * each token paid back into the pool. Holders realize these fees as part of
+ * the amounts returned when they remove liquidity.
+ *
+ * Balances are rebuilt from LP token transfers, so the store must start at or
+ * before the pool's first mint.
+ * @param {object} data
+ * @returns {Map<string, { feesA: bigint, feesB: bigint }>} Keyed by holder address
+ */
+function feesEarned(data) {
+    if (data.initialSupply > 0n) throw new Error("Store starts after the pool's first mint");
+
+    const blocks = blockIndex(data);
+    const balances = new Map();
+    const fees = new Map();
+    let totalSupply = 0n;
+
+    const distribute = (event, amountIn, key) => {
+        const { swapFee, protocolFeeShare } = blocks.get(event.blockNumber);
+        const fee = (amountIn * swapFee) / FEE_DENOMINATOR;
+        const protocolFee = (amountIn * swapFee * protocolFeeShare) / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+        const lpFee = fee - protocolFee;
+
+        for (const [holder, balance] of balances) {
+            if (balance === 0n) continue;
+            const earned = fees.get(holder) ?? { feesA: 0n, feesB: 0n };
+            earned[key] += (lpFee * balance) / totalSupply;
+            fees.set(holder, earned);
+        }
+    };
+
+    for (const event of data.events) {
+        if (event.event === "Transfer") {
+            if (event.from === ZERO_ADDRESS) {
+                totalSupply += event.value;
+            } else {
+                balances.set(event.from, balances.get(event.from) - event.value);
+            }
+            if (event.to === ZERO_ADDRESS) {
+                totalSupply -= event.value;
+            } else {
+                balances.set(event.to, (balances.get(event.to) ?? 0n) + event.value);
+            }
+        } else if (event.event === "Swap" && totalSupply > 0n) {
+            const key = event.tokenIn.toLowerCase() === data.tokenA.toLowerCase() ? "feesA" : "feesB";
+            distribute(event, event.amountIn, key);
+        } else if (event.event === "FlashSwap" && totalSupply > 0n) {
+            distribute(event, event.amountAIn, "feesA");
+            distribute(event, event.amountBIn, "feesB");
+        }
+    }
+    return fees;
+}
+
+/**
+ * Swap count and traded volume of each token, bucketed by period.
+ * @param {object} data
+ * @param {number} periodSeconds Bucket length, e.g. 3600 or 86400
+ * @returns {{ periodStart: number, swaps: number, volumeA: bigint, volumeB: bigint }[]}
+ *          Only periods with at least one swap, oldest first
+ */
+function volumeByPeriod(data, periodSeconds) {
+    if (!(periodSeconds > 0)) throw new Error("Invalid period");
+
+    const blocks = blockIndex(data);
+    const periods = new Map();
+    for (const event of data.events) {
+        if (event.event !== "Swap") continue;
+
+        const timestamp = blocks.get(event.blockNumber).timestamp;
+        const periodStart = timestamp - (timestamp % periodSeconds);
+        const period = periods.get(periodStart) ?? { periodStart, swaps: 0, volumeA: 0n, volumeB: 0n };
+        const aIn = event.tokenIn.toLowerCase() === data.tokenA.toLowerCase();
+        period.swaps += 1;
+        period.volumeA += aIn ? event.amountIn : event.amountOut;
+        period.volumeB += aIn ? event.amountOut : event.amountIn;
+        periods.set(periodStart, period);
+    }
+    return [...periods.values()].sort((a, b) => a.periodStart - b.periodStart);
+}
+
+/**
+ * Reserves and spot price at the end of every block that touched the pool.
+ * @param {object} data
+ * @returns {{ blockNumber: number, timestamp: number, reserveA: bigint, reserveB: bigint, price: bigint }[]}
+ *          `price` is token A in token B scaled by 1e18, or 0 for an empty pool
+ */
+function reserveSeries(data) {
+    return data.blocks.map((block) => ({
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        reserveA: block.reserveA,
+        reserveB: block.reserveB,
+        price: block.reserveA > 0n ? getPrice(block.reserveA, block.reserveB) : 0n
+    }));
+}
+
+module.exports = {
+    liquidityProviders,
+    lpActivity,
+    feesEarned,
+    volumeByPeriod,
+    reserveSeries
+};
@@ -0,0 +1,82 @@
+const { ethers } = require("ethers");
+const { PoolIndexer, JsonStore, queries } = require("../indexer");
+
+// Usage: node scripts/index-events.js <pool> [--store file] [--from block] [--watch seconds]
+// The RPC endpoint defaults to a local Hardhat node and can be changed with RPC_URL.
+function parseArgs(argv) {
+  const args = { pool: argv[0], store: null, from: 0, watch: 0 };
+  for (let i = 1; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    if (argv[i] === "--store") args.store = value;
+    else if (argv[i] === "--from") args.from = Number(value);
+    else if (argv[i] === "--watch") args.watch = Number(value);
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (!args.pool || !ethers.utils.isAddress(args.pool)) {
+    throw new Error("Usage: node scripts/index-events.js <pool> [--store file] [--from block] [--watch seconds]");
+  }
+  args.store = args.store || `indexer-data/${args.pool.toLowerCase()}.json`;
+  return args;
+}
+
+function printSummary(data) {
+  const series = queries.reserveSeries(data);
+  const latest = series[series.length - 1];
+
+  console.log("\nPool:", data.pool);
+  console.log("Indexed up to block:", data.lastBlock);
+  console.log("Events:", data.events.length);
+  if (latest) {
+    console.log("Reserves:", latest.reserveA.toString(), "/", latest.reserveB.toString());
+    console.log("Price (B per A):", ethers.utils.formatEther(latest.price));
+  }
+
+  // Fee shares need every LP balance, which is only known when indexing from the first mint
+  const fees = data.initialSupply > 0n ? null : queries.feesEarned(data);
+  if (!fees) console.log("\nFees earned: unavailable, index from the pool's deployment block");
+  for (const provider of queries.liquidityProviders(data)) {
+    const activity = queries.lpActivity(data, provider);
+    console.log(`\nLP ${provider}`);
+    console.log("  Deposits:", activity.deposits.length, "Withdrawals:", activity.withdrawals.length);
+    if (fees) {
+      const earned = fees.get(provider) || { feesA: 0n, feesB: 0n };
+      console.log("  Fees earned:", earned.feesA.toString(), "A /", earned.feesB.toString(), "B");
+    }
+  }
+
+  console.log("\nDaily volume:");
+  for (const period of queries.volumeByPeriod(data, 86400)) {
+    const day = new Date(period.periodStart * 1000).toISOString().slice(0, 10);
+    console.log(`  ${day}: ${period.swaps} swaps, ${period.volumeA} A, ${period.volumeB} B`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const indexer = new PoolIndexer(provider, args.pool, new JsonStore(args.store), { startBlock: args.from });
+
+  for (;;) {
+    const result = await indexer.sync();
+    if (result.reorgedFrom !== null) {
+      console.log(`Reorg detected, re-indexed from block ${result.reorgedFrom}`);
+    }
+    if (result.fromBlock > result.toBlock) {
+      console.log(`Up to date at block ${result.toBlock}`);
+    } else {
+      console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.newEvents} new events`);
+    }
+
+    if (!args.watch) break;
+    await new Promise((resolve) => setTimeout(resolve, args.watch * 1000));
+  }
+
+  printSummary(indexer.data);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
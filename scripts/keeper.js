@@ -0,0 +1,52 @@
+const { ethers } = require("ethers");
+const { DEX_ABI } = require("../sdk");
+const { ORDER_BOOK_ABI, LimitOrderKeeper } = require("./lib/keeper");
+
+// Usage: node scripts/keeper.js <orderBook> [--once] [--interval seconds]
+// The RPC endpoint defaults to a local Hardhat node and can be changed with RPC_URL.
+// Transactions are signed with PRIVATE_KEY, or with the node's first account.
+function parseArgs(argv) {
+  const args = { orderBook: argv[0], once: false, interval: 2 };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === "--once") args.once = true;
+    else if (argv[i] === "--interval") args.interval = Number(argv[++i]);
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (!args.orderBook || !ethers.utils.isAddress(args.orderBook)) {
+    throw new Error("Usage: node scripts/keeper.js <orderBook> [--once] [--interval seconds]");
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  provider.pollingInterval = args.interval * 1000;
+  const signer = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : provider.getSigner(0);
+
+  const orderBook = new ethers.Contract(args.orderBook, ORDER_BOOK_ABI, signer);
+  const pool = new ethers.Contract(await orderBook.dex(), DEX_ABI, provider);
+  const keeper = new LimitOrderKeeper(orderBook, { log: console.log });
+
+  console.log("Keeper:", await signer.getAddress());
+  console.log("Order book:", orderBook.address);
+  console.log("Pool:", pool.address);
+
+  if (args.once) {
+    const executed = await keeper.executeFillable();
+    console.log(`Executed ${executed.length} orders`);
+    return;
+  }
+
+  const watcher = keeper.watch(pool);
+  console.log("Watching for swaps, press Ctrl+C to stop");
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await watcher.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
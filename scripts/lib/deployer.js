@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+function loadManifest(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// Options given on the command line override the network's `dexDeploy` config
+function resolveOptions(hre, options) {
+  const config = { ...(hre.config.dexDeploy[hre.network.name] || {}) };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== "") config[key] = value;
+  }
+  if (!config.manifest) {
+    config.manifest = path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+  }
+  return config;
+}
+
+/**
+ * Deploy the DEX contracts, reusing anything the manifest already records.
+ *
+ * A manifest entry is reused as long as the chain still has code at its
+ * address, so re-running against the same network sends no transactions.
+ * Every deployment is written to the manifest as soon as it is mined.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options] Overrides for the network's `dexDeploy` config:
+ *        `tokenA`, `tokenB`, `deployMocks`, `seedLiquidity` ({ amountA, amountB } in whole
+ *        tokens, or false to skip), `manifest` (path) and `log` (function, defaults to console.log)
+ * @returns {Promise<object>} The manifest
+ */
+async function deployDex(hre, options = {}) {
+  const { ethers, network } = hre;
+  const config = resolveOptions(hre, options);
+  const log = config.log || console.log;
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const manifest = loadManifest(config.manifest) || { network: network.name, chainId, contracts: {} };
+  if (manifest.chainId !== chainId) {
+    throw new Error(`Manifest ${config.manifest} belongs to chain ${manifest.chainId}, not ${chainId}`);
+  }
+
+  async function existing(name) {
+    const entry = manifest.contracts[name];
+    if (entry && (await ethers.provider.getCode(entry.address)) !== "0x") {
+      log(`${name}: reusing ${entry.address}`);
+      return entry;
+    }
+    return null;
+  }
+
+  function record(name, entry) {
+    manifest.contracts[name] = entry;
+    saveManifest(config.manifest, manifest);
+  }
+
+  async function deploy(name, contractName, args) {
+    const reused = await existing(name);
+    if (reused) return reused.address;
+
+    const Contract = await ethers.getContractFactory(contractName);
+    const contract = await Contract.deploy(...args);
+    const receipt = await contract.deployTransaction.wait();
+    record(name, {
+      contract: contractName,
+      address: contract.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args
+    });
+    log(`${name}: deployed ${contract.address}`);
+    return contract.address;
+  }
+
+  async function token(key, name, tokenName, symbol) {
+    if (config[key]) {
+      if (!ethers.utils.isAddress(config[key])) throw new Error(`Invalid ${key} address`);
+      return ethers.utils.getAddress(config[key]);
+    }
+    if (!config.deployMocks) {
+      throw new Error(`No ${key} configured for network ${network.name}; pass one or enable deployMocks`);
+    }
+    return deploy(name, "MockERC20", [tokenName, symbol]);
+  }
+
+  const tokenA = await token("tokenA", "TokenA", "Token A", "TKA");
+  const tokenB = await token("tokenB", "TokenB", "Token B", "TKB");
+  const factoryAddress = await deploy("DEXFactory", "DEXFactory", []);
+  await deploy("DEXRouter", "DEXRouter", [factoryAddress]);
+
+  // Pools come from the factory, so look the pair up there rather than in the manifest
+  const factory = await ethers.getContractAt("DEXFactory", factoryAddress);
+  const [token0, token1] = await factory.sortTokens(tokenA, tokenB);
+  let poolAddress = await factory.getPair(token0, token1);
+  if (poolAddress === ethers.constants.AddressZero) {
+    const receipt = await (await factory.createPair(token0, token1)).wait();
+    poolAddress = await factory.getPair(token0, token1);
+    record("DEX", {
+      contract: "DEX",
+      address: poolAddress,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args: [token0, token1]
+    });
+    log(`DEX: created ${poolAddress}`);
+  } else if (manifest.contracts.DEX?.address !== poolAddress) {
+    const [created] = await factory.queryFilter(factory.filters.PairCreated(token0, token1));
+    record("DEX", {
+      contract: "DEX",
+      address: poolAddress,
+      transactionHash: created.transactionHash,
+      blockNumber: created.blockNumber,
+      args: [token0, token1]
+    });
+    log(`DEX: found existing pair ${poolAddress}`);
+  } else {
+    log(`DEX: reusing ${poolAddress}`);
+  }
+
+  if (config.seedLiquidity) {
+    await seedLiquidity(hre, config.seedLiquidity, tokenA, tokenB, poolAddress, manifest, log);
+    saveManifest(config.manifest, manifest);
+  }
+
+  return manifest;
+}
+
+// Add the initial liquidity unless the pool already has some
+async function seedLiquidity(hre, seed, tokenA, tokenB, poolAddress, manifest, log) {
+  const { ethers } = hre;
+  const pool = await ethers.getContractAt("DEX", poolAddress);
+  if (!(await pool.totalSupply()).isZero()) {
+    log("Seed liquidity: pool already has liquidity, skipping");
+    return;
+  }
+
+  const [signer] = await ethers.getSigners();
+  const amounts = {};
+  for (const [address, amount] of [[tokenA, seed.amountA], [tokenB, seed.amountB]]) {
+    const erc20 = new ethers.Contract(address, ERC20_ABI, signer);
+    amounts[address] = ethers.utils.parseUnits(String(amount), await erc20.decimals());
+    await (await erc20.approve(poolAddress, amounts[address])).wait();
+  }
+
+  // The pool stores its tokens sorted, which may be the reverse of the configured order
+  const amount0 = amounts[await pool.tokenA()];
+  const amount1 = amounts[await pool.tokenB()];
+  const receipt = await (await pool.addLiquidity(amount0, amount1)).wait();
+  manifest.seedLiquidity = {
+    amountA: amount0.toString(),
+    amountB: amount1.toString(),
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber
+  };
+  log(`Seed liquidity: added ${amount0} / ${amount1}`);
+}
+
+function printSummary(manifest) {
+  console.log("\nDeployment Summary:");
+  console.log("===================");
+  console.log("Network:", `${manifest.network} (chain ${manifest.chainId})`);
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    console.log(`${name}:`, entry.address);
+  }
+}
+
+module.exports = { deployDex, printSummary };
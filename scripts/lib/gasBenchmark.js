@@ -0,0 +1,340 @@
+const fs = require("fs");
+
+const DEFAULT_THRESHOLD_PERCENT = 2;
+
+async function signPermit(ethers, token, signer, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const signature = await signer._signTypedData(
+    { name: await token.name(), version: "1", chainId, verifyingContract: token.address },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    { owner: signer.address, spender, value, nonce: await token.nonces(signer.address), deadline }
+  );
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { v, r, s };
+}
+
+// Each scenario gets a freshly seeded pool (1000 A / 2000 B) and returns the transaction to measure
+const SCENARIOS = [
+  {
+    name: "addLiquidity: first deposit",
+    run: async ({ ethers, tokenA, tokenB }) => {
+      const DEX = await ethers.getContractFactory("DEX");
+      const empty = await DEX.deploy(tokenA.address, tokenB.address);
+      await tokenA.approve(empty.address, ethers.constants.MaxUint256);
+      await tokenB.approve(empty.address, ethers.constants.MaxUint256);
+      return empty.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+    }
+  },
+  {
+    name: "addLiquidity: subsequent deposit",
+    run: ({ ethers, dex, lp }) => dex.connect(lp).addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"))
+  },
+  {
+    name: "addLiquidityWithSlippage",
+    run: ({ ethers, dex, lp, deadline }) => dex.connect(lp).addLiquidityWithSlippage(
+      ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, deadline
+    )
+  },
+  {
+    name: "addLiquidityWithPermit",
+    run: async ({ ethers, dex, tokenA, tokenB, lp, deadline }) => {
+      const amountA = ethers.utils.parseEther("100");
+      const amountB = ethers.utils.parseEther("200");
+      // Reset the standing approvals so the permits are what authorize the transfer
+      await tokenA.connect(lp).approve(dex.address, 0);
+      await tokenB.connect(lp).approve(dex.address, 0);
+      const permitA = await signPermit(ethers, tokenA, lp, dex.address, amountA, deadline);
+      const permitB = await signPermit(ethers, tokenB, lp, dex.address, amountB, deadline);
+      return dex.connect(lp).addLiquidityWithPermit(amountA, amountB, 0, 0, deadline, permitA, permitB);
+    }
+  },
+  {
+    name: "zapIn",
+    run: ({ ethers, dex, tokenA, lp, deadline }) => dex.connect(lp).zapIn(tokenA.address, ethers.utils.parseEther("100"), 0, deadline)
+  },
+  {
+    name: "removeLiquidity: partial",
+    run: async ({ dex, owner }) => dex.removeLiquidity((await dex.balanceOf(owner.address)).div(2))
+  },
+  {
+    name: "removeLiquidity: full",
+    run: async ({ dex, owner }) => dex.removeLiquidity(await dex.balanceOf(owner.address))
+  },
+  {
+    name: "removeLiquidityWithSlippage: partial",
+    run: async ({ dex, owner, deadline }) => dex.removeLiquidityWithSlippage(
+      (await dex.balanceOf(owner.address)).div(2), 0, 0, deadline
+    )
+  },
+  {
+    name: "removeLiquidityWithPermit: partial",
+    run: async ({ ethers, dex, owner, lp, deadline }) => {
+      const liquidity = (await dex.balanceOf(owner.address)).div(2);
+      const sig = await signPermit(ethers, dex, owner, lp.address, liquidity, deadline);
+      return dex.connect(lp).removeLiquidityWithPermit(owner.address, liquidity, 0, 0, deadline, sig);
+    }
+  },
+  {
+    name: "swapAForB: small",
+    run: ({ ethers, dex, trader }) => dex.connect(trader).swapAForB(ethers.utils.parseEther("1"))
+  },
+  {
+    name: "swapAForB: large",
+    run: ({ ethers, dex, trader }) => dex.connect(trader).swapAForB(ethers.utils.parseEther("500"))
+  },
+  {
+    name: "swapAForB: protocol fee on",
+    run: async ({ ethers, dex, owner, trader }) => {
+      await dex.setFeeRecipient(owner.address);
+      await dex.setProtocolFeeShare(2000);
+      return dex.connect(trader).swapAForB(ethers.utils.parseEther("1"));
+    }
+  },
+  {
+    name: "swapBForA: small",
+    run: ({ ethers, dex, trader }) => dex.connect(trader).swapBForA(ethers.utils.parseEther("1"))
+  },
+  {
+    name: "swapBForA: large",
+    run: ({ ethers, dex, trader }) => dex.connect(trader).swapBForA(ethers.utils.parseEther("1000"))
+  },
+  {
+    name: "swapAForBWithSlippage",
+    run: ({ ethers, dex, trader, deadline }) => dex.connect(trader).swapAForBWithSlippage(ethers.utils.parseEther("1"), 0, deadline)
+  },
+  {
+    name: "swapBForAWithSlippage",
+    run: ({ ethers, dex, trader, deadline }) => dex.connect(trader).swapBForAWithSlippage(ethers.utils.parseEther("1"), 0, deadline)
+  },
+  {
+    name: "swapAForBWithPermit",
+    run: async ({ ethers, dex, tokenA, trader, deadline }) => {
+      const amountIn = ethers.utils.parseEther("1");
+      await tokenA.connect(trader).approve(dex.address, 0);
+      const sig = await signPermit(ethers, tokenA, trader, dex.address, amountIn, deadline);
+      return dex.connect(trader).swapAForBWithPermit(amountIn, 0, deadline, sig);
+    }
+  },
+  {
+    name: "swapBForAWithPermit",
+    run: async ({ ethers, dex, tokenB, trader, deadline }) => {
+      const amountIn = ethers.utils.parseEther("1");
+      await tokenB.connect(trader).approve(dex.address, 0);
+      const sig = await signPermit(ethers, tokenB, trader, dex.address, amountIn, deadline);
+      return dex.connect(trader).swapBForAWithPermit(amountIn, 0, deadline, sig);
+    }
+  },
+  {
+    name: "flashSwap: repaid by receiver",
+    run: async ({ ethers, dex, tokenA }) => {
+      const Receiver = await ethers.getContractFactory("MockFlashSwapReceiver");
+      const receiver = await Receiver.deploy(dex.address);
+      await tokenA.transfer(receiver.address, ethers.utils.parseEther("1"));
+      return receiver.flash(ethers.utils.parseEther("10"), 0, 0);
+    }
+  },
+  {
+    name: "sync",
+    run: async ({ ethers, dex, tokenA }) => {
+      await tokenA.transfer(dex.address, ethers.utils.parseEther("1"));
+      return dex.sync();
+    }
+  },
+  {
+    name: "skim",
+    run: async ({ ethers, dex, tokenA, owner }) => {
+      await tokenA.transfer(dex.address, ethers.utils.parseEther("1"));
+      return dex.skim(owner.address);
+    }
+  },
+  {
+    name: "collectProtocolFees",
+    run: async ({ ethers, dex, owner, trader }) => {
+      await dex.setFeeRecipient(owner.address);
+      await dex.setProtocolFeeShare(2000);
+      await dex.connect(trader).swapAForB(ethers.utils.parseEther("10"));
+      await dex.connect(trader).swapBForA(ethers.utils.parseEther("10"));
+      return dex.collectProtocolFees();
+    }
+  },
+  {
+    name: "setSwapFee",
+    run: ({ dex }) => dex.setSwapFee(25)
+  },
+  {
+    name: "setProtocolFeeShare",
+    run: async ({ dex, owner }) => {
+      await dex.setFeeRecipient(owner.address);
+      return dex.setProtocolFeeShare(2000);
+    }
+  },
+  {
+    name: "setFeeRecipient",
+    run: ({ dex, owner }) => dex.setFeeRecipient(owner.address)
+  },
+  {
+    name: "pause",
+    run: ({ dex }) => dex.pause()
+  },
+  {
+    name: "unpause",
+    run: async ({ dex }) => {
+      await dex.pause();
+      return dex.unpause();
+    }
+  },
+  {
+    name: "setMigrationTarget",
+    run: async ({ ethers, dex, tokenA, tokenB }) => {
+      const DEX = await ethers.getContractFactory("DEX");
+      const target = await DEX.deploy(tokenA.address, tokenB.address);
+      return dex.setMigrationTarget(target.address);
+    }
+  },
+  {
+    name: "migrate: into seeded pool",
+    run: async ({ ethers, dex, tokenA, tokenB, owner, deadline }) => {
+      const DEX = await ethers.getContractFactory("DEX");
+      const target = await DEX.deploy(tokenA.address, tokenB.address);
+      await tokenA.approve(target.address, ethers.constants.MaxUint256);
+      await tokenB.approve(target.address, ethers.constants.MaxUint256);
+      await target.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+      await dex.setMigrationTarget(target.address);
+      return dex.migrate((await dex.balanceOf(owner.address)).div(2), 0, 0, deadline);
+    }
+  },
+  {
+    name: "transfer (LP token)",
+    run: async ({ dex, owner, lp }) => dex.transfer(lp.address, (await dex.balanceOf(owner.address)).div(2))
+  }
+];
+
+async function deployFixture(hre) {
+  const { ethers } = hre;
+  const [owner, lp, trader] = await ethers.getSigners();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const tokenA = await MockERC20.deploy("Token A", "TKA");
+  const tokenB = await MockERC20.deploy("Token B", "TKB");
+  const DEX = await ethers.getContractFactory("DEX");
+  const dex = await DEX.deploy(tokenA.address, tokenB.address);
+
+  for (const signer of [owner, lp, trader]) {
+    for (const token of [tokenA, tokenB]) {
+      if (signer !== owner) await token.mint(signer.address, ethers.utils.parseEther("100000"));
+      await token.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+    }
+  }
+  await dex.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+
+  const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  return { ethers, dex, tokenA, tokenB, owner, lp, trader, deadline };
+}
+
+/**
+ * Measure the gas used by every scenario.
+ *
+ * Runs on the in-process Hardhat network; each scenario starts from the same
+ * snapshot, so results are deterministic for a given compiler configuration.
+ * @param {object} hre Hardhat runtime environment
+ * @returns {Promise<Object<string, number>>} Gas used keyed by scenario name
+ */
+async function runBenchmarks(hre) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Gas benchmarks must run on the in-process hardhat network");
+  }
+
+  const fixture = await deployFixture(hre);
+  let snapshot = await hre.network.provider.send("evm_snapshot");
+  const results = {};
+
+  for (const scenario of SCENARIOS) {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot");
+
+    const receipt = await (await scenario.run(fixture)).wait();
+    results[scenario.name] = receipt.gasUsed.toNumber();
+  }
+  return results;
+}
+
+/**
+ * Compare measured gas against a baseline.
+ * @param {Object<string, number>} baseline
+ * @param {Object<string, number>} results
+ * @param {number} [thresholdPercent] Increase, in percent, tolerated before an entry counts as a regression
+ * @returns {{ rows: object[], regressions: object[], missing: string[] }}
+ *          `missing` lists baseline entries that no longer have a scenario
+ */
+function compareGas(baseline, results, thresholdPercent = DEFAULT_THRESHOLD_PERCENT) {
+  const rows = Object.entries(results).map(([name, gas]) => {
+    const base = baseline[name];
+    if (base === undefined) return { name, baseline: null, gas, diff: null, percent: null, status: "new" };
+
+    const diff = gas - base;
+    const percent = (diff * 100) / base;
+    let status = "ok";
+    if (percent > thresholdPercent) status = "regression";
+    else if (diff < 0) status = "improved";
+    return { name, baseline: base, gas, diff, percent, status };
+  });
+
+  return {
+    rows,
+    regressions: rows.filter((row) => row.status === "regression"),
+    missing: Object.keys(baseline).filter((name) => !(name in results))
+  };
+}
+
+/**
+ * Render a comparison as a fixed-width table.
+ * @param {{ rows: object[], missing: string[] }} comparison Result of compareGas
+ * @returns {string}
+ */
+function formatReport(comparison) {
+  const header = ["Entry point", "Baseline", "Current", "Diff", "%", ""];
+  const lines = comparison.rows.map((row) => [
+    row.name,
+    row.baseline === null ? "-" : String(row.baseline),
+    String(row.gas),
+    row.diff === null ? "-" : (row.diff > 0 ? "+" : "") + row.diff,
+    row.percent === null ? "-" : (row.percent > 0 ? "+" : "") + row.percent.toFixed(2),
+    row.status === "ok" ? "" : row.status.toUpperCase()
+  ]);
+  for (const name of comparison.missing) {
+    lines.push([name, "-", "-", "-", "-", "REMOVED"]);
+  }
+
+  const widths = header.map((_, i) => Math.max(...[header, ...lines].map((line) => line[i].length)));
+  const format = (line) => line
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join("  ")
+    .trimEnd();
+  return [format(header), widths.map((w) => "-".repeat(w)).join("  ").trimEnd(), ...lines.map(format)].join("\n");
+}
+
+function loadBaseline(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function saveBaseline(file, results) {
+  fs.writeFileSync(file, JSON.stringify(results, null, 2) + "\n");
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD_PERCENT,
+  SCENARIOS,
+  runBenchmarks,
+  compareGas,
+  formatReport,
+  loadBaseline,
+  saveBaseline
+};
@@ -0,0 +1,140 @@
+const ORDER_BOOK_ABI = [
+  "function dex() view returns (address)",
+  "function nextOrderId() view returns (uint256)",
+  "function orders(uint256 orderId) view returns (address owner, bool sellA, uint8 status, uint256 amountIn, uint256 targetPrice, uint256 expiry)",
+  "function isFillable(uint256 orderId) view returns (bool)",
+  "function executeOrder(uint256 orderId) returns (uint256 amountOut, uint256 reward)",
+  "event OrderPlaced(uint256 indexed orderId, address indexed owner, address indexed tokenIn, uint256 amountIn, uint256 targetPrice, uint256 expiry)",
+  "event OrderExecuted(uint256 indexed orderId, address indexed keeper, uint256 amountOut, uint256 reward)",
+  "event OrderCancelled(uint256 indexed orderId, address indexed owner, uint256 amountRefunded)"
+];
+
+// LimitOrderBook.OrderStatus
+const ORDER_OPEN = 1;
+
+/**
+ * Executes LimitOrderBook orders once the pool reaches their target price.
+ *
+ * Open orders are tracked between runs: each run reads only the orders placed
+ * since the last one, drops those filled or cancelled since then (found from
+ * `OrderExecuted` and `OrderCancelled` logs) and those past their expiry, and
+ * checks `isFillable` for the rest.
+ */
+class LimitOrderKeeper {
+  /**
+   * @param {import("ethers").Contract} orderBook LimitOrderBook connected to the keeper's signer
+   * @param {object} [options]
+   * @param {function(string): void} [options.log] Progress logger, silent by default
+   */
+  constructor(orderBook, { log = () => {} } = {}) {
+    this.orderBook = orderBook;
+    this.log = log;
+    this.open = new Map(); // orderId => expiry
+    this.nextOrderId = 1;
+    this.lastBlock = null;
+    this.running = Promise.resolve();
+    this.queued = false;
+  }
+
+  /**
+   * IDs of the orders that can be executed at the current pool price.
+   * @returns {Promise<number[]>}
+   */
+  async fillableOrders() {
+    const block = await this.orderBook.provider.getBlock("latest");
+    const overrides = { blockTag: block.number };
+
+    if (this.lastBlock !== null && block.number > this.lastBlock) {
+      const [executed, cancelled] = await Promise.all([
+        this.orderBook.queryFilter("OrderExecuted", this.lastBlock + 1, block.number),
+        this.orderBook.queryFilter("OrderCancelled", this.lastBlock + 1, block.number)
+      ]);
+      for (const event of [...executed, ...cancelled]) {
+        this.open.delete(event.args.orderId.toNumber());
+      }
+    }
+
+    // An order's expiry never changes, so new orders are read once
+    const nextOrderId = (await this.orderBook.nextOrderId(overrides)).toNumber();
+    for (let orderId = this.nextOrderId; orderId < nextOrderId; orderId++) {
+      const order = await this.orderBook.orders(orderId, overrides);
+      if (order.status === ORDER_OPEN) this.open.set(orderId, order.expiry.toNumber());
+    }
+    this.nextOrderId = nextOrderId;
+    this.lastBlock = block.number;
+
+    const fillable = [];
+    for (const [orderId, expiry] of this.open) {
+      // Every later block is past the expiry too
+      if (block.timestamp >= expiry) {
+        this.open.delete(orderId);
+      } else if (await this.orderBook.isFillable(orderId, overrides)) {
+        fillable.push(orderId);
+      }
+    }
+    return fillable;
+  }
+
+  /**
+   * Execute every fillable order, one transaction each.
+   * An order that fails, e.g. because another keeper filled it first, is
+   * logged and skipped.
+   * @returns {Promise<Array<{orderId: number, transactionHash: string, amountOut: bigint, reward: bigint}>>}
+   */
+  async executeFillable() {
+    const executed = [];
+    for (const orderId of await this.fillableOrders()) {
+      try {
+        const receipt = await (await this.orderBook.executeOrder(orderId)).wait();
+        const event = receipt.events.find((e) => e.event === "OrderExecuted");
+        const result = {
+          orderId,
+          transactionHash: receipt.transactionHash,
+          amountOut: event.args.amountOut.toBigInt(),
+          reward: event.args.reward.toBigInt()
+        };
+        this.open.delete(orderId);
+        executed.push(result);
+        this.log(`Executed order ${orderId} in ${result.transactionHash}, reward ${result.reward}`);
+      } catch (error) {
+        this.log(`Order ${orderId} not executed: ${error.reason || error.message}`);
+      }
+    }
+    return executed;
+  }
+
+  /**
+   * Check for fillable orders now and after every Swap on the pool or new
+   * order. Checks never overlap, and triggers that arrive while one is
+   * running are merged into a single follow-up check.
+   * @param {import("ethers").Contract} pool DEX pool the order book settles against
+   * @returns {{stop: function(): Promise<void>, idle: function(): Promise<void>}}
+   */
+  watch(pool) {
+    const trigger = () => {
+      if (this.queued) return;
+      this.queued = true;
+      this.running = this.running
+        .then(() => {
+          this.queued = false;
+          return this.executeFillable();
+        })
+        .catch((error) => this.log(`Keeper run failed: ${error.message}`));
+    };
+
+    pool.on("Swap", trigger);
+    this.orderBook.on("OrderPlaced", trigger);
+    trigger();
+
+    return {
+      stop: () => {
+        pool.off("Swap", trigger);
+        this.orderBook.off("OrderPlaced", trigger);
+        return this.running;
+      },
+      idle: () => this.running
+    };
+  }
+}
+
+module.exports = { ORDER_BOOK_ABI, LimitOrderKeeper };
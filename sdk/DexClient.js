@@ -0,0 +1,228 @@
+/**
+ * High-level client for a deployed DEX pool.
+ *
+ * Quotes are computed locally from a single reserve snapshot with the math in
+ * ./math.js; state-changing helpers approve tokens when needed, always go
+ * through the slippage-protected entry points and return decoded events.
+ */
+
+const { ethers } = require("ethers");
+const { DEX_ABI, ERC20_ABI } = require("./abi");
+const { decodeEvents } = require("./events");
+const math = require("./math");
+
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_DEADLINE_SECONDS = 20 * 60;
+
+class DexClient {
+    /**
+     * @param {string} address Address of the DEX pool
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider Signer for transactions,
+     *        or a provider for read-only use
+     */
+    constructor(address, signerOrProvider) {
+        this.dex = new ethers.Contract(address, DEX_ABI, signerOrProvider);
+        this.address = this.dex.address;
+        this._tokens = null;
+    }
+
+    /**
+     * Pool token addresses, fetched once and cached.
+     * @returns {Promise<{ tokenA: string, tokenB: string }>}
+     */
+    async getTokens() {
+        if (!this._tokens) {
+            const [tokenA, tokenB] = await Promise.all([this.dex.tokenA(), this.dex.tokenB()]);
+            this._tokens = { tokenA, tokenB };
+        }
+        return this._tokens;
+    }
+
+    /**
+     * Snapshot of everything the local math needs.
+     * @returns {Promise<{ reserveA: bigint, reserveB: bigint, totalSupply: bigint, swapFee: bigint }>}
+     */
+    async getPoolState() {
+        const [reserves, totalSupply, swapFee] = await Promise.all([
+            this.dex.getReserves(),
+            this.dex.totalSupply(),
+            this.dex.swapFee()
+        ]);
+        return {
+            reserveA: reserves._reserveA.toBigInt(),
+            reserveB: reserves._reserveB.toBigInt(),
+            totalSupply: totalSupply.toBigInt(),
+            swapFee: swapFee.toBigInt()
+        };
+    }
+
+    /**
+     * Quote an exact-input swap.
+     * @param {string} tokenIn Address of the token being sold
+     * @param {bigint} amountIn Amount being sold
+     * @param {number} [slippageBps] Tolerance used for `minAmountOut`
+     * @returns {Promise<{ tokenIn: string, tokenOut: string, amountIn: bigint, amountOut: bigint,
+     *          minAmountOut: bigint, priceImpactBps: bigint }>}
+     */
+    async quoteSwap(tokenIn, amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+        const aForB = await this._isTokenA(tokenIn);
+        const { tokenA, tokenB } = await this.getTokens();
+        const state = await this.getPoolState();
+        const reserveIn = aForB ? state.reserveA : state.reserveB;
+        const reserveOut = aForB ? state.reserveB : state.reserveA;
+
+        const amountOut = math.getAmountOut(amountIn, reserveIn, reserveOut, state.swapFee);
+        return {
+            tokenIn: aForB ? tokenA : tokenB,
+            tokenOut: aForB ? tokenB : tokenA,
+            amountIn,
+            amountOut,
+            minAmountOut: math.applySlippage(amountOut, slippageBps),
+            priceImpactBps: math.priceImpactBps(amountIn, amountOut, reserveIn, reserveOut)
+        };
+    }
+
+    /**
+     * Quote a deposit: the ratio-matching amounts actually pulled and the LP tokens minted.
+     * @param {bigint} amountADesired
+     * @param {bigint} amountBDesired
+     * @returns {Promise<{ amountA: bigint, amountB: bigint, liquidity: bigint }>}
+     */
+    async quoteAddLiquidity(amountADesired, amountBDesired) {
+        const { reserveA, reserveB, totalSupply } = await this.getPoolState();
+        const { amountA, amountB } = math.optimalAmounts(
+            amountADesired, amountBDesired, reserveA, reserveB, totalSupply
+        );
+        const liquidity = math.liquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply);
+        return { amountA, amountB, liquidity };
+    }
+
+    /**
+     * Quote a withdrawal.
+     * @param {bigint} liquidity LP tokens to burn
+     * @returns {Promise<{ amountA: bigint, amountB: bigint }>}
+     */
+    async quoteRemoveLiquidity(liquidity) {
+        const { reserveA, reserveB, totalSupply } = await this.getPoolState();
+        if (totalSupply === 0n) throw new Error("No liquidity");
+        return math.removeAmounts(liquidity, reserveA, reserveB, totalSupply);
+    }
+
+    /**
+     * Approve the pool to spend `amount` of `token` unless the allowance already covers it.
+     * @param {string} token Token address
+     * @param {bigint} amount Amount the pool needs to pull
+     * @returns {Promise<object|null>} Approval receipt, or null when no approval was needed
+     */
+    async ensureAllowance(token, amount) {
+        const signer = this._signer();
+        const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+        const allowance = await erc20.allowance(await signer.getAddress(), this.address);
+        if (allowance.toBigInt() >= amount) return null;
+
+        const tx = await erc20.approve(this.address, amount);
+        return tx.wait();
+    }
+
+    /**
+     * Sell an exact amount of one pool token for the other.
+     * @param {string} tokenIn Address of the token being sold
+     * @param {bigint} amountIn Amount being sold
+     * @param {{ slippageBps?: number, deadline?: number }} [options]
+     * @returns {Promise<{ receipt: object, events: object[] }>}
+     */
+    async swap(tokenIn, amountIn, options = {}) {
+        const quote = await this.quoteSwap(tokenIn, amountIn, options.slippageBps);
+        await this.ensureAllowance(quote.tokenIn, amountIn);
+
+        const deadline = await this._deadline(options.deadline);
+        const aForB = await this._isTokenA(tokenIn);
+        const dex = this.dex.connect(this._signer());
+        const tx = aForB
+            ? await dex.swapAForBWithSlippage(amountIn, quote.minAmountOut, deadline)
+            : await dex.swapBForAWithSlippage(amountIn, quote.minAmountOut, deadline);
+        return this._result(tx);
+    }
+
+    /**
+     * Deposit liquidity, pulling only the ratio-matching part of the desired amounts.
+     * @param {bigint} amountADesired
+     * @param {bigint} amountBDesired
+     * @param {{ slippageBps?: number, deadline?: number }} [options]
+     * @returns {Promise<{ receipt: object, events: object[] }>}
+     */
+    async addLiquidity(amountADesired, amountBDesired, options = {}) {
+        const slippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+        const quote = await this.quoteAddLiquidity(amountADesired, amountBDesired);
+        const { tokenA, tokenB } = await this.getTokens();
+        await this.ensureAllowance(tokenA, amountADesired);
+        await this.ensureAllowance(tokenB, amountBDesired);
+
+        const deadline = await this._deadline(options.deadline);
+        const tx = await this.dex.connect(this._signer()).addLiquidityWithSlippage(
+            amountADesired,
+            amountBDesired,
+            math.applySlippage(quote.amountA, slippageBps),
+            math.applySlippage(quote.amountB, slippageBps),
+            deadline
+        );
+        return this._result(tx);
+    }
+
+    /**
+     * Burn LP tokens for the underlying pool tokens.
+     * @param {bigint} liquidity LP tokens to burn
+     * @param {{ slippageBps?: number, deadline?: number }} [options]
+     * @returns {Promise<{ receipt: object, events: object[] }>}
+     */
+    async removeLiquidity(liquidity, options = {}) {
+        const slippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+        const quote = await this.quoteRemoveLiquidity(liquidity);
+
+        const deadline = await this._deadline(options.deadline);
+        const tx = await this.dex.connect(this._signer()).removeLiquidityWithSlippage(
+            liquidity,
+            math.applySlippage(quote.amountA, slippageBps),
+            math.applySlippage(quote.amountB, slippageBps),
+            deadline
+        );
+        return this._result(tx);
+    }
+
+    /**
+     * Decode this pool's events from a receipt or a list of logs.
+     * @param {object|object[]} receiptOrLogs
+     * @returns {object[]}
+     */
+    decodeEvents(receiptOrLogs) {
+        const logs = Array.isArray(receiptOrLogs) ? receiptOrLogs : receiptOrLogs.logs;
+        return decodeEvents(logs, this.address);
+    }
+
+    async _isTokenA(token) {
+        const { tokenA, tokenB } = await this.getTokens();
+        const address = token.toLowerCase();
+        if (address === tokenA.toLowerCase()) return true;
+        if (address === tokenB.toLowerCase()) return false;
+        throw new Error("Invalid token");
+    }
+
+    _signer() {
+        if (!ethers.Signer.isSigner(this.dex.signer)) throw new Error("Signer required");
+        return this.dex.signer;
+    }
+
+    async _deadline(deadline) {
+        if (deadline !== undefined) return deadline;
+        // Use chain time rather than the local clock so forked and test networks behave
+        const block = await this.dex.provider.getBlock("latest");
+        return block.timestamp + DEFAULT_DEADLINE_SECONDS;
+    }
+
+    async _result(tx) {
+        const receipt = await tx.wait();
+        return { receipt, events: this.decodeEvents(receipt) };
+    }
+}
+
+module.exports = { DexClient, DEFAULT_SLIPPAGE_BPS, DEFAULT_DEADLINE_SECONDS };
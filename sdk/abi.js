@@ -0,0 +1,28 @@
+/**
+ * Minimal human-readable ABIs for the contracts the SDK talks to.
+ */
+
+const DEX_ABI = [
+    "function tokenA() view returns (address)",
+    "function tokenB() view returns (address)",
+    "function swapFee() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function getReserves() view returns (uint256 _reserveA, uint256 _reserveB)",
+    "function getPrice() view returns (uint256 price)",
+    "function addLiquidityWithSlippage(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, uint256 deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)",
+    "function removeLiquidityWithSlippage(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin, uint256 deadline) returns (uint256 amountA, uint256 amountB)",
+    "function swapAForBWithSlippage(uint256 amountAIn, uint256 minAmountOut, uint256 deadline) returns (uint256 amountBOut)",
+    "function swapBForAWithSlippage(uint256 amountBIn, uint256 minAmountOut, uint256 deadline) returns (uint256 amountAOut)",
+    "event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted)",
+    "event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned)",
+    "event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)"
+];
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+module.exports = { DEX_ABI, ERC20_ABI };
@@ -0,0 +1,71 @@
+/**
+ * Decoding of DEX events into plain objects with BigInt amounts.
+ */
+
+const { ethers } = require("ethers");
+const { DEX_ABI } = require("./abi");
+
+const dexInterface = new ethers.utils.Interface(DEX_ABI);
+
+const DECODERS = {
+    Swap: (args) => ({
+        trader: args.trader,
+        tokenIn: args.tokenIn,
+        tokenOut: args.tokenOut,
+        amountIn: args.amountIn.toBigInt(),
+        amountOut: args.amountOut.toBigInt()
+    }),
+    LiquidityAdded: (args) => ({
+        provider: args.provider,
+        amountA: args.amountA.toBigInt(),
+        amountB: args.amountB.toBigInt(),
+        liquidity: args.liquidityMinted.toBigInt()
+    }),
+    LiquidityRemoved: (args) => ({
+        provider: args.provider,
+        amountA: args.amountA.toBigInt(),
+        amountB: args.amountB.toBigInt(),
+        liquidity: args.liquidityBurned.toBigInt()
+    })
+};
+
+/**
+ * Decode a single log emitted by a DEX pool.
+ * @param {object} log Raw log as returned by ethers
+ * @returns {object|null} Plain event object, or null for any other event
+ */
+function decodeLog(log) {
+    let parsed;
+    try {
+        parsed = dexInterface.parseLog(log);
+    } catch (err) {
+        return null;
+    }
+
+    const decode = DECODERS[parsed.name];
+    if (!decode) return null;
+
+    return {
+        event: parsed.name,
+        pool: log.address,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        ...decode(parsed.args)
+    };
+}
+
+/**
+ * Decode every Swap, LiquidityAdded and LiquidityRemoved log in a list.
+ * @param {object[]} logs Raw logs, e.g. `receipt.logs` or the result of `provider.getLogs`
+ * @param {string} [pool] Only decode logs emitted by this pool address
+ * @returns {object[]}
+ */
+function decodeEvents(logs, pool) {
+    return logs
+        .filter((log) => !pool || log.address.toLowerCase() === pool.toLowerCase())
+        .map(decodeLog)
+        .filter((event) => event !== null);
+}
+
+module.exports = { decodeLog, decodeEvents };
@@ -0,0 +1,26 @@
+/**
+ * JavaScript SDK for the DEX AMM.
+ *
+ * @example
+ * const { DexClient } = require("./sdk");
+ * const client = new DexClient(poolAddress, signer);
+ * const quote = await client.quoteSwap(tokenA, 10n ** 18n);
+ * const { events } = await client.swap(tokenA, 10n ** 18n, { slippageBps: 50 });
+ */
+
+const math = require("./math");
+const { DexClient, DEFAULT_SLIPPAGE_BPS, DEFAULT_DEADLINE_SECONDS } = require("./DexClient");
+const { decodeLog, decodeEvents } = require("./events");
+const { DEX_ABI, ERC20_ABI } = require("./abi");
+
+module.exports = {
+    DexClient,
+    DEFAULT_SLIPPAGE_BPS,
+    DEFAULT_DEADLINE_SECONDS,
+    decodeLog,
+    decodeEvents,
+    DEX_ABI,
+    ERC20_ABI,
+    math,
+    ...math
+};
@@ -0,0 +1,180 @@
+/**
+ * Off-chain replicas of the DEX pool math.
+ *
+ * Every function works on BigInt and rounds exactly like contracts/DEX.sol,
+ * so quotes computed here match the on-chain results to the wei.
+ */
+
+const FEE_DENOMINATOR = 10000n;
+const DEFAULT_SWAP_FEE = 30n;
+const MINIMUM_LIQUIDITY = 1000n;
+
+/**
+ * Integer square root, identical to DEX.sqrt (Babylonian method).
+ * @param {bigint} y
+ * @returns {bigint}
+ */
+function sqrt(y) {
+    let z = 0n;
+    if (y > 3n) {
+        z = y;
+        let x = y / 2n + 1n;
+        while (x < z) {
+            z = x;
+            x = (y / x + x) / 2n;
+        }
+    } else if (y !== 0n) {
+        z = 1n;
+    }
+    return z;
+}
+
+/**
+ * Output amount for an exact input, identical to DEX.getAmountOut.
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} [swapFee] Fee in basis points
+ * @returns {bigint}
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, swapFee = DEFAULT_SWAP_FEE) {
+    if (amountIn <= 0n) throw new Error("Insufficient input amount");
+    if (reserveIn <= 0n || reserveOut <= 0n) throw new Error("Insufficient liquidity");
+
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+    return numerator / denominator;
+}
+
+/**
+ * Minimum input for an exact output, identical to DEX.getAmountIn.
+ * @param {bigint} amountOut
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} [swapFee] Fee in basis points
+ * @returns {bigint}
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, swapFee = DEFAULT_SWAP_FEE) {
+    if (amountOut <= 0n) throw new Error("Insufficient output amount");
+    if (reserveIn <= 0n || reserveOut <= amountOut) throw new Error("Insufficient liquidity");
+
+    const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+    const denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+    return numerator / denominator + 1n;
+}
+
+/**
+ * Amounts actually deposited for a desired pair, identical to DEX._optimalAmounts.
+ * @param {bigint} amountADesired
+ * @param {bigint} amountBDesired
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP token supply
+ * @returns {{ amountA: bigint, amountB: bigint }}
+ */
+function optimalAmounts(amountADesired, amountBDesired, reserveA, reserveB, totalSupply) {
+    if (totalSupply === 0n) {
+        return { amountA: amountADesired, amountB: amountBDesired };
+    }
+
+    const amountBOptimal = (amountADesired * reserveB) / reserveA;
+    if (amountBOptimal <= amountBDesired) {
+        return { amountA: amountADesired, amountB: amountBOptimal };
+    }
+    return { amountA: (amountBDesired * reserveA) / reserveB, amountB: amountBDesired };
+}
+
+/**
+ * LP tokens minted for a deposit that already matches the pool ratio.
+ * @param {bigint} amountA
+ * @param {bigint} amountB
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP token supply
+ * @returns {bigint}
+ */
+function liquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply) {
+    if (amountA <= 0n || amountB <= 0n) throw new Error("Amounts must be greater than 0");
+
+    if (totalSupply === 0n) {
+        const liquidity = sqrt(amountA * amountB);
+        if (liquidity <= MINIMUM_LIQUIDITY) throw new Error("Insufficient liquidity minted");
+        return liquidity - MINIMUM_LIQUIDITY;
+    }
+
+    const liquidityA = (amountA * totalSupply) / reserveA;
+    const liquidityB = (amountB * totalSupply) / reserveB;
+    const liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+    if (liquidity === 0n) throw new Error("Insufficient liquidity minted");
+    return liquidity;
+}
+
+/**
+ * Tokens returned for burning LP tokens, identical to DEX.removeLiquidity.
+ * @param {bigint} liquidity LP tokens burned
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP token supply
+ * @returns {{ amountA: bigint, amountB: bigint }}
+ */
+function removeAmounts(liquidity, reserveA, reserveB, totalSupply) {
+    return {
+        amountA: (liquidity * reserveA) / totalSupply,
+        amountB: (liquidity * reserveB) / totalSupply
+    };
+}
+
+/**
+ * Spot price of token A in token B scaled by 1e18, identical to DEX.getPrice.
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @returns {bigint}
+ */
+function getPrice(reserveA, reserveB) {
+    if (reserveA <= 0n) throw new Error("No liquidity");
+    return (reserveB * 10n ** 18n) / reserveA;
+}
+
+/**
+ * How far a trade's execution price falls short of the spot price, in basis points.
+ * Includes the swap fee.
+ * @param {bigint} amountIn
+ * @param {bigint} amountOut
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @returns {bigint}
+ */
+function priceImpactBps(amountIn, amountOut, reserveIn, reserveOut) {
+    // Output the trade would get at the spot price, with no fee and no curve
+    const spotOut = (amountIn * reserveOut) / reserveIn;
+    if (spotOut === 0n) return 0n;
+    return ((spotOut - amountOut) * FEE_DENOMINATOR) / spotOut;
+}
+
+/**
+ * Minimum acceptable amount after allowing for slippage.
+ * @param {bigint} amount Quoted amount
+ * @param {bigint|number} slippageBps Tolerance in basis points, e.g. 50 for 0.5%
+ * @returns {bigint}
+ */
+function applySlippage(amount, slippageBps) {
+    const tolerance = BigInt(slippageBps);
+    if (tolerance < 0n || tolerance > FEE_DENOMINATOR) throw new Error("Invalid slippage");
+    return (amount * (FEE_DENOMINATOR - tolerance)) / FEE_DENOMINATOR;
+}
+
+module.exports = {
+    FEE_DENOMINATOR,
+    DEFAULT_SWAP_FEE,
+    MINIMUM_LIQUIDITY,
+    sqrt,
+    getAmountOut,
+    getAmountIn,
+    optimalAmounts,
+    liquidityMinted,
+    removeAmounts,
+    getPrice,
+    priceImpactBps,
+    applySlippage
+};
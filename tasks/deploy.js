@@ -0,0 +1,29 @@
+const { extendConfig, task } = require("hardhat/config");
+const { deployDex, printSummary } = require("../scripts/lib/deployer");
+
+// Per-network deploy settings live under `dexDeploy` in hardhat.config.js
+extendConfig((config, userConfig) => {
+  config.dexDeploy = userConfig.dexDeploy || {};
+});
+
+task("deploy-dex", "Deploys the DEX contracts and records them in deployments/<network>.json")
+  .addOptionalParam("tokenA", "Address of an existing token A")
+  .addOptionalParam("tokenB", "Address of an existing token B")
+  .addFlag("mocks", "Deploy MockERC20 tokens for any token without an address")
+  .addOptionalParam("seedA", "Initial token A liquidity, in whole tokens")
+  .addOptionalParam("seedB", "Initial token B liquidity, in whole tokens")
+  .addOptionalParam("manifest", "Manifest path (defaults to deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    if ((args.seedA === undefined) !== (args.seedB === undefined)) {
+      throw new Error("Pass both --seed-a and --seed-b");
+    }
+
+    const manifest = await deployDex(hre, {
+      tokenA: args.tokenA,
+      tokenB: args.tokenB,
+      deployMocks: args.mocks || undefined,
+      seedLiquidity: args.seedA !== undefined ? { amountA: args.seedA, amountB: args.seedB } : undefined,
+      manifest: args.manifest
+    });
+    printSummary(manifest);
+  });
@@ -0,0 +1,38 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  DEFAULT_THRESHOLD_PERCENT,
+  runBenchmarks,
+  compareGas,
+  formatReport,
+  loadBaseline,
+  saveBaseline
+} = require("../scripts/lib/gasBenchmark");
+
+task("gas-benchmark", "Measures gas for every DEX entry point and compares it with the committed baseline")
+  .addFlag("update", "Overwrite the baseline with the new measurements")
+  .addOptionalParam("threshold", "Increase in percent tolerated before failing", DEFAULT_THRESHOLD_PERCENT, types.float)
+  .addOptionalParam("baseline", "Baseline file (defaults to benchmarks/gas-baseline.json)")
+  .setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const file = args.baseline || path.join(hre.config.paths.root, "benchmarks", "gas-baseline.json");
+    const results = await runBenchmarks(hre);
+    const comparison = compareGas(loadBaseline(file), results, args.threshold);
+    console.log(formatReport(comparison));
+
+    if (args.update) {
+      saveBaseline(file, results);
+      console.log(`\nBaseline written to ${path.relative(process.cwd(), file)}`);
+      return;
+    }
+
+    if (comparison.regressions.length > 0) {
+      console.error(`\n${comparison.regressions.length} entry point(s) regressed by more than ${args.threshold}%:`);
+      for (const row of comparison.regressions) {
+        console.error(`  ${row.name}: ${row.baseline} -> ${row.gas} (+${row.diff}, +${row.percent.toFixed(2)}%)`);
+      }
+      console.error("Run `npm run gas:update` if the increase is intended.");
+      process.exitCode = 1;
+    }
+  });
@@ -0,0 +1,487 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const Q96 = 2n ** 96n;
+
+// sqrt(price) in Q64.96 for a price given as a JS number
+function encodePrice(price) {
+    return BigInt(Math.round(Math.sqrt(price) * 2 ** 48)) * 2n ** 48n;
+}
+
+describe("ConcentratedPool", function() {
+    let pool, tokenA, tokenB;
+    let owner, addr1, addr2;
+    let deadline;
+    
+    async function deployPool(price = 1, fee = 30, spacing = 10) {
+        const ConcentratedPool = await ethers.getContractFactory("ConcentratedPool");
+        const deployed = await ConcentratedPool.deploy(tokenA.address, tokenB.address, fee, spacing, encodePrice(price));
+        for (const signer of [owner, addr1, addr2]) {
+            await tokenA.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+        }
+        return deployed;
+    }
+    
+    async function open(signer, lower, upper, amountA, amountB) {
+        const result = await pool.connect(signer).callStatic.openPosition(lower, upper, amountA, amountB, 0, 0, deadline);
+        await pool.connect(signer).openPosition(lower, upper, amountA, amountB, 0, 0, deadline);
+        return result;
+    }
+    
+    beforeEach(async function() {
+        [owner, addr1, addr2] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        for (const signer of [addr1, addr2]) {
+            await tokenA.mint(signer.address, ethers.utils.parseEther("100000"));
+            await tokenB.mint(signer.address, ethers.utils.parseEther("100000"));
+        }
+        
+        deadline = (await time.latest()) + 3600;
+        pool = await deployPool();
+    });
+    
+    describe("Tick Math", function() {
+        let tickMath;
+        
+        beforeEach(async function() {
+            const MockTickMath = await ethers.getContractFactory("MockTickMath");
+            tickMath = await MockTickMath.deploy();
+        });
+        
+        it("should match sqrt(1.0001^tick) across the tick range", async function() {
+            expect(await tickMath.getSqrtPriceAtTick(0)).to.equal(Q96);
+            for (const tick of [1, -1, 10, -60, 1000, -5000, 50000, -200000, 400000]) {
+                const expected = Math.sqrt(1.0001 ** tick) * 2 ** 96;
+                const actual = Number((await tickMath.getSqrtPriceAtTick(tick)).toString());
+                expect(Math.abs(actual - expected) / expected).to.be.lessThan(1e-9);
+            }
+        });
+        
+        it("should cover the full Q64.96 range and reject ticks beyond it", async function() {
+            expect(await tickMath.getSqrtPriceAtTick(-887272)).to.equal(4295128739n);
+            expect(await tickMath.getSqrtPriceAtTick(887272)).to.equal(1461446703485210103287273052203988822378723970342n);
+            await expect(tickMath.getSqrtPriceAtTick(887273)).to.be.revertedWith("Tick out of range");
+            await expect(tickMath.getSqrtPriceAtTick(-887273)).to.be.revertedWith("Tick out of range");
+        });
+        
+        it("should invert getSqrtPriceAtTick", async function() {
+            for (const tick of [0, 1, -1, 123, -4567, 88888, -300000, 887271, -887272]) {
+                const sqrtPrice = await tickMath.getSqrtPriceAtTick(tick);
+                expect(await tickMath.getTickAtSqrtPrice(sqrtPrice)).to.equal(tick);
+                if (tick > -887272) {
+                    expect(await tickMath.getTickAtSqrtPrice(sqrtPrice.sub(1))).to.equal(tick - 1);
+                }
+            }
+            await expect(tickMath.getTickAtSqrtPrice(4295128738n)).to.be.revertedWith("Price out of range");
+        });
+        
+        it("should bracket arbitrary prices between adjacent ticks", async function() {
+            const prices = [
+                4295128739n,
+                1461446703485210103287273052203988822378723970342n,
+                Q96 + 1n,
+                Q96 - 1n,
+                encodePrice(3.7),
+                encodePrice(0.0042),
+                encodePrice(1e12),
+                encodePrice(1e-12),
+                2n ** 150n + 12345n
+            ];
+            for (const sqrtPrice of prices) {
+                const tick = await tickMath.getTickAtSqrtPrice(sqrtPrice);
+                expect((await tickMath.getSqrtPriceAtTick(tick)).toBigInt()).to.be.lte(sqrtPrice);
+                if (tick < 887272) {
+                    expect((await tickMath.getSqrtPriceAtTick(tick + 1)).toBigInt()).to.be.gt(sqrtPrice);
+                }
+            }
+        });
+    });
+    
+    describe("Deployment", function() {
+        it("should start at the given price", async function() {
+            const priced = await deployPool(4);
+            expect(await priced.sqrtPriceX96()).to.equal(2n * Q96);
+            expect(await priced.tick()).to.equal(13863); // 1.0001^13863 <= 4 < 1.0001^13864
+            expect(await priced.getPrice()).to.equal(ethers.utils.parseEther("4"));
+            expect(await priced.liquidity()).to.equal(0);
+        });
+        
+        it("should validate the constructor arguments", async function() {
+            const ConcentratedPool = await ethers.getContractFactory("ConcentratedPool");
+            await expect(ConcentratedPool.deploy(tokenA.address, tokenA.address, 30, 10, Q96))
+                .to.be.revertedWith("Tokens must be different");
+            await expect(ConcentratedPool.deploy(tokenA.address, tokenB.address, 101, 10, Q96))
+                .to.be.revertedWith("Fee too high");
+            await expect(ConcentratedPool.deploy(tokenA.address, tokenB.address, 30, 0, Q96))
+                .to.be.revertedWith("Invalid tick spacing");
+            await expect(ConcentratedPool.deploy(tokenA.address, tokenB.address, 30, 10, 1))
+                .to.be.revertedWith("Price out of range");
+        });
+    });
+    
+    describe("Positions", function() {
+        it("should open an in-range position with both tokens and assign sequential IDs", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const first = await open(owner, -100, 100, amount, amount);
+            const second = await open(addr1, -200, 200, amount, amount);
+            
+            expect(first.positionId).to.equal(1);
+            expect(second.positionId).to.equal(2);
+            
+            // At price 1 a symmetric range takes equal amounts of both tokens
+            expect(first.amountA).to.be.closeTo(amount, 1);
+            expect(first.amountB).to.be.closeTo(amount, 1);
+            
+            const position = await pool.positions(2);
+            expect(position.owner).to.equal(addr1.address);
+            expect(position.tickLower).to.equal(-200);
+            expect(position.tickUpper).to.equal(200);
+            expect(position.liquidity).to.equal(second.liquidityAdded);
+            expect(await pool.liquidity()).to.equal(first.liquidityAdded.add(second.liquidityAdded));
+            expect(await pool.getInitializedTicks()).to.deep.equal([-200, -100, 100, 200]);
+        });
+        
+        it("should hold a range above the price entirely in token A and below it in token B", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const above = await open(owner, 100, 200, amount, amount);
+            const below = await open(owner, -200, -100, amount, amount);
+            
+            expect(above.amountA).to.equal(amount);
+            expect(above.amountB).to.equal(0);
+            expect(below.amountA).to.equal(0);
+            expect(below.amountB).to.equal(amount);
+            
+            // Neither range contains the price, so no liquidity is active
+            expect(await pool.liquidity()).to.equal(0);
+        });
+        
+        it("should emit PositionOpened with the deposited amounts", async function() {
+            const amount = ethers.utils.parseEther("10");
+            const result = await pool.callStatic.openPosition(-100, 100, amount, amount, 0, 0, deadline);
+            await expect(pool.openPosition(-100, 100, amount, amount, 0, 0, deadline))
+                .to.emit(pool, "PositionOpened")
+                .withArgs(1, owner.address, -100, 100, result.liquidityAdded, result.amountA, result.amountB);
+        });
+        
+        it("should reject invalid ranges", async function() {
+            const amount = ethers.utils.parseEther("1");
+            await expect(pool.openPosition(100, 100, amount, amount, 0, 0, deadline)).to.be.revertedWith("Invalid tick range");
+            await expect(pool.openPosition(-15, 100, amount, amount, 0, 0, deadline)).to.be.revertedWith("Tick not aligned");
+            await expect(pool.openPosition(-887280, 100, amount, amount, 0, 0, deadline)).to.be.revertedWith("Tick out of range");
+            await expect(pool.openPosition(-100, 100, 0, 0, 0, 0, deadline)).to.be.revertedWith("Insufficient liquidity minted");
+            await expect(pool.openPosition(-100, 100, amount, amount, 0, 0, (await time.latest()) - 1))
+                .to.be.revertedWith("Transaction expired");
+        });
+        
+        it("should enforce minimum deposit amounts", async function() {
+            const amount = ethers.utils.parseEther("10");
+            // With only token A offered, the in-range deposit is limited by token B
+            await expect(pool.openPosition(-100, 100, amount, amount.div(2), amount, 0, deadline))
+                .to.be.revertedWith("Insufficient A amount");
+        });
+        
+        it("should increase and decrease liquidity of a position", async function() {
+            const amount = ethers.utils.parseEther("10");
+            const opened = await open(owner, -100, 100, amount, amount);
+            
+            await pool.increaseLiquidity(1, amount, amount, 0, 0, deadline);
+            expect((await pool.positions(1)).liquidity).to.be.closeTo(opened.liquidityAdded.mul(2), 1);
+            
+            const balanceA = await tokenA.balanceOf(owner.address);
+            const [amountA] = await pool.callStatic.decreaseLiquidity(1, opened.liquidityAdded, 0, 0, deadline);
+            await expect(pool.decreaseLiquidity(1, opened.liquidityAdded, 0, 0, deadline))
+                .to.emit(pool, "LiquidityDecreased");
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceA)).to.equal(amountA);
+            expect(amountA).to.be.closeTo(amount, 2);
+            
+            await expect(pool.decreaseLiquidity(1, opened.liquidityAdded.mul(2), 0, 0, deadline))
+                .to.be.revertedWith("Insufficient liquidity");
+        });
+        
+        it("should clear ticks no position uses any more", async function() {
+            const amount = ethers.utils.parseEther("10");
+            const opened = await open(owner, -100, 100, amount, amount);
+            await open(owner, -100, 200, amount, amount);
+            
+            await pool.decreaseLiquidity(1, opened.liquidityAdded, 0, 0, deadline);
+            expect(await pool.getInitializedTicks()).to.deep.equal([-100, 200]);
+            expect((await pool.ticks(100)).liquidityGross).to.equal(0);
+        });
+        
+        it("should track initialized ticks across bitmap words", async function() {
+            const amount = ethers.utils.parseEther("1");
+            await open(owner, -25600, -10, amount, amount);
+            await open(owner, 2560, 30000, amount, amount);
+            await open(owner, -887270, 887270, amount, amount);
+            
+            expect(await pool.getInitializedTicks()).to.deep.equal([-887270, -25600, -10, 2560, 30000, 887270]);
+            // Tick 2560 is compressed to 256, the first bit of word 1
+            expect(await pool.tickBitmap(1)).to.equal(1);
+            
+            await pool.decreaseLiquidity(2, (await pool.positions(2)).liquidity, 0, 0, deadline);
+            expect(await pool.tickBitmap(1)).to.equal(0);
+            expect(await pool.getInitializedTicks()).to.deep.equal([-887270, -25600, -10, 887270]);
+        });
+        
+        it("should not charge more to open or close a position when many other ticks are in use", async function() {
+            const amount = ethers.utils.parseEther("10");
+            const dust = ethers.utils.parseEther("0.001");
+            
+            const gasToOpenAndClose = async () => {
+                const opened = await open(owner, -100, 100, amount, amount);
+                const openReceipt = await (await pool.openPosition(-100, 100, amount, amount, 0, 0, deadline)).wait();
+                await pool.decreaseLiquidity(opened.positionId, opened.liquidityAdded, 0, 0, deadline);
+                const positionId = opened.positionId.add(1);
+                const liquidity = (await pool.positions(positionId)).liquidity;
+                const closeReceipt = await (await pool.decreaseLiquidity(positionId, liquidity, 0, 0, deadline)).wait();
+                return [openReceipt.gasUsed, closeReceipt.gasUsed];
+            };
+            
+            const [openBefore, closeBefore] = await gasToOpenAndClose();
+            
+            // Dust positions on distinct ticks on both sides of the range
+            for (let i = 1; i <= 20; i++) {
+                await open(addr1, -5000 - i * 20, -4990 - i * 20, dust, dust);
+                await open(addr1, 5000 + i * 20, 5010 + i * 20, dust, dust);
+            }
+            expect((await pool.getInitializedTicks()).length).to.equal(80);
+            
+            const [openAfter, closeAfter] = await gasToOpenAndClose();
+            expect(openAfter).to.be.closeTo(openBefore, openBefore.div(100));
+            expect(closeAfter).to.be.closeTo(closeBefore, closeBefore.div(100));
+        });
+        
+        it("should only let the owner manage a position", async function() {
+            const amount = ethers.utils.parseEther("10");
+            await open(owner, -100, 100, amount, amount);
+            
+            await expect(pool.connect(addr1).increaseLiquidity(1, amount, amount, 0, 0, deadline))
+                .to.be.revertedWith("Not position owner");
+            await expect(pool.connect(addr1).decreaseLiquidity(1, 1, 0, 0, deadline))
+                .to.be.revertedWith("Not position owner");
+            await expect(pool.connect(addr1).collectFees(1)).to.be.revertedWith("Not position owner");
+        });
+    });
+    
+    describe("Swaps", function() {
+        it("should give more output than a constant product pool holding the same tokens", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const opened = await open(owner, -100, 100, amount, amount);
+            
+            const DEX = await ethers.getContractFactory("DEX");
+            const dex = await DEX.deploy(tokenA.address, tokenB.address);
+            await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+            await dex.addLiquidity(opened.amountA, opened.amountB);
+            
+            const amountIn = ethers.utils.parseEther("10");
+            const concentrated = await pool.callStatic.swapAForB(amountIn, 0, deadline);
+            const fullRange = await dex.callStatic.swapAForB(amountIn);
+            expect(concentrated).to.be.gt(fullRange);
+            expect(concentrated).to.be.gt(amountIn.mul(99).div(100));
+        });
+        
+        it("should match constant product pricing for a full-range position", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -887270, 887270, amount, amount);
+            
+            const DEX = await ethers.getContractFactory("DEX");
+            const dex = await DEX.deploy(tokenA.address, tokenB.address);
+            await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+            await dex.addLiquidity(amount, amount);
+            
+            const amountIn = ethers.utils.parseEther("10");
+            const concentrated = await pool.callStatic.swapAForB(amountIn, 0, deadline);
+            const fullRange = await dex.callStatic.swapAForB(amountIn);
+            expect(concentrated).to.be.closeTo(fullRange, fullRange.div(100000));
+        });
+        
+        it("should move the price and emit Swap", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -1000, 1000, amount, amount);
+            
+            const amountIn = ethers.utils.parseEther("1");
+            const amountOut = await pool.callStatic.swapAForB(amountIn, 0, deadline);
+            const balanceB = await tokenB.balanceOf(owner.address);
+            await expect(pool.swapAForB(amountIn, 0, deadline))
+                .to.emit(pool, "Swap")
+                .withArgs(owner.address, tokenA.address, tokenB.address, amountIn, amountOut);
+            
+            expect((await tokenB.balanceOf(owner.address)).sub(balanceB)).to.equal(amountOut);
+            expect(await pool.sqrtPriceX96()).to.be.lt(Q96);
+            expect(await pool.tick()).to.be.lt(0);
+            
+            const priceAfterSell = await pool.sqrtPriceX96();
+            await pool.swapBForA(amountIn, 0, deadline);
+            expect(await pool.sqrtPriceX96()).to.be.gt(priceAfterSell);
+        });
+        
+        it("should cross into the next range as the price moves", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const inner = await open(owner, -100, 100, amount, amount);
+            const upper = await open(addr1, 100, 300, amount, amount);
+            expect(await pool.liquidity()).to.equal(inner.liquidityAdded);
+            
+            // Buying A with B pushes the price up through tick 100 into the second range
+            await pool.swapBForA(ethers.utils.parseEther("120"), 0, deadline);
+            expect(await pool.tick()).to.be.gte(100);
+            expect(await pool.tick()).to.be.lt(300);
+            expect(await pool.liquidity()).to.equal(upper.liquidityAdded);
+            
+            // Selling A brings it back down into the first range
+            await pool.swapAForB(ethers.utils.parseEther("150"), 0, deadline);
+            expect(await pool.tick()).to.be.lt(100);
+            expect(await pool.liquidity()).to.equal(inner.liquidityAdded);
+        });
+        
+        it("should skip over price gaps without liquidity", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -100, 100, amount, amount);
+            const far = await open(owner, 1000, 1100, amount, amount);
+            
+            await pool.swapBForA(ethers.utils.parseEther("150"), 0, deadline);
+            expect(await pool.tick()).to.be.gte(1000);
+            expect(await pool.liquidity()).to.equal(far.liquidityAdded);
+        });
+        
+        it("should cross ranges several bitmap words apart", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -100, 100, amount, amount);
+            const far = await open(owner, 26000, 26100, amount, amount);
+            
+            await pool.swapBForA(ethers.utils.parseEther("150"), 0, deadline);
+            expect(await pool.tick()).to.be.gte(26000);
+            expect(await pool.liquidity()).to.equal(far.liquidityAdded);
+        });
+        
+        it("should revert when the swap runs out of ranges", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -100, 100, amount, amount);
+            await expect(pool.swapBForA(ethers.utils.parseEther("1000"), 0, deadline))
+                .to.be.revertedWith("Insufficient liquidity");
+            await expect(pool.swapAForB(1, 0, deadline)).to.be.revertedWith("Insufficient output amount");
+        });
+        
+        it("should enforce the minimum output and the deadline", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(owner, -100, 100, amount, amount);
+            
+            const amountIn = ethers.utils.parseEther("1");
+            const amountOut = await pool.callStatic.swapAForB(amountIn, 0, deadline);
+            await expect(pool.swapAForB(amountIn, amountOut.add(1), deadline)).to.be.revertedWith("Output below minimum");
+            await expect(pool.swapAForB(amountIn, 0, (await time.latest()) - 1)).to.be.revertedWith("Transaction expired");
+            await expect(pool.swapAForB(0, 0, deadline)).to.be.revertedWith("Amount must be greater than 0");
+        });
+    });
+    
+    describe("Fees", function() {
+        it("should split fees between positions in proportion to their liquidity", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const small = await open(addr1, -100, 100, amount, amount);
+            const large = await open(addr2, -100, 100, amount.mul(3), amount.mul(3));
+            
+            const amountIn = ethers.utils.parseEther("10");
+            await pool.swapAForB(amountIn, 0, deadline);
+            
+            const [smallFeesA, smallFeesB] = await pool.pendingFees(1);
+            const [largeFeesA] = await pool.pendingFees(2);
+            expect(smallFeesB).to.equal(0);
+            
+            const totalFee = amountIn.mul(30).div(10000);
+            expect(smallFeesA.add(largeFeesA)).to.be.closeTo(totalFee, 2);
+            expect(largeFeesA).to.be.closeTo(
+                smallFeesA.mul(large.liquidityAdded).div(small.liquidityAdded), 2
+            );
+        });
+        
+        it("should only pay fees to positions whose range the price is in", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(addr1, -100, 100, amount, amount);
+            await open(addr2, 100, 300, amount, amount);
+            
+            // Trading inside the first range pays nothing to the second
+            await pool.swapAForB(ethers.utils.parseEther("10"), 0, deadline);
+            await pool.swapBForA(ethers.utils.parseEther("10"), 0, deadline);
+            expect((await pool.pendingFees(2)).amountB).to.equal(0);
+            expect((await pool.pendingFees(2)).amountA).to.equal(0);
+            
+            // Once the price moves into the second range it starts earning
+            await pool.swapBForA(ethers.utils.parseEther("150"), 0, deadline);
+            expect((await pool.pendingFees(2)).amountB).to.be.gt(0);
+        });
+        
+        it("should collect fees separately from principal", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const opened = await open(addr1, -100, 100, amount, amount);
+            await pool.swapAForB(ethers.utils.parseEther("10"), 0, deadline);
+            await pool.swapBForA(ethers.utils.parseEther("10"), 0, deadline);
+            
+            const [pendingA, pendingB] = await pool.pendingFees(1);
+            const principal = await pool.getPositionAmounts(1);
+            expect(pendingA).to.be.gt(0);
+            expect(pendingB).to.be.gt(0);
+            
+            const balanceA = await tokenA.balanceOf(addr1.address);
+            await expect(pool.connect(addr1).collectFees(1))
+                .to.emit(pool, "FeesCollected")
+                .withArgs(1, addr1.address, pendingA, pendingB);
+            expect((await tokenA.balanceOf(addr1.address)).sub(balanceA)).to.equal(pendingA);
+            
+            // Principal and liquidity are untouched, and there is nothing left to collect
+            const after = await pool.getPositionAmounts(1);
+            expect(after.amountA).to.equal(principal.amountA);
+            expect(after.amountB).to.equal(principal.amountB);
+            expect((await pool.positions(1)).liquidity).to.equal(opened.liquidityAdded);
+            const [againA, againB] = await pool.connect(addr1).callStatic.collectFees(1);
+            expect(againA).to.equal(0);
+            expect(againB).to.equal(0);
+        });
+        
+        it("should keep earned fees when principal is withdrawn", async function() {
+            const amount = ethers.utils.parseEther("100");
+            const opened = await open(addr1, -100, 100, amount, amount);
+            await pool.swapAForB(ethers.utils.parseEther("10"), 0, deadline);
+            const [pendingA] = await pool.pendingFees(1);
+            
+            const principal = await pool.getPositionAmounts(1);
+            const [amountA, amountB] = await pool.connect(addr1).callStatic.decreaseLiquidity(
+                1, opened.liquidityAdded, 0, 0, deadline
+            );
+            expect(amountA).to.equal(principal.amountA);
+            expect(amountB).to.equal(principal.amountB);
+            
+            await pool.connect(addr1).decreaseLiquidity(1, opened.liquidityAdded, 0, 0, deadline);
+            const [feesA] = await pool.connect(addr1).callStatic.collectFees(1);
+            expect(feesA).to.equal(pendingA);
+        });
+        
+        it("should stay solvent after every LP exits", async function() {
+            const amount = ethers.utils.parseEther("100");
+            await open(addr1, -100, 100, amount, amount);
+            await open(addr2, -300, 200, amount.mul(2), amount);
+            await open(owner, 100, 400, amount, amount);
+            
+            for (let i = 0; i < 3; i++) {
+                await pool.swapBForA(ethers.utils.parseEther("90"), 0, deadline);
+                await pool.swapAForB(ethers.utils.parseEther("120"), 0, deadline);
+            }
+            
+            for (const [id, signer] of [[1, addr1], [2, addr2], [3, owner]]) {
+                const { liquidity } = await pool.positions(id);
+                await pool.connect(signer).decreaseLiquidity(id, liquidity, 0, 0, deadline);
+                await pool.connect(signer).collectFees(id);
+            }
+            
+            // Rounding always favours the pool, so only dust is left behind
+            expect(await pool.liquidity()).to.equal(0);
+            expect(await tokenA.balanceOf(pool.address)).to.be.lt(100);
+            expect(await tokenB.balanceOf(pool.address)).to.be.lt(100);
+        });
+    });
+});
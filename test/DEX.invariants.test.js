@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fc = require("fast-check");
+
+// FUZZ_RUNS and FUZZ_SEED reproduce or extend a run, e.g. FUZZ_RUNS=500 npx hardhat test test/DEX.invariants.test.js
+const NUM_RUNS = Number(process.env.FUZZ_RUNS || 20);
+const SEED = process.env.FUZZ_SEED !== undefined ? Number(process.env.FUZZ_SEED) : undefined;
+const MAX_COMMANDS = 25;
+const NUM_ACCOUNTS = 4;
+const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+// Reverts that random amounts may legitimately trigger; any other revert fails the run
+const EXPECTED_REVERTS = [
+    "Amounts must be greater than 0",
+    "Insufficient liquidity minted",
+    "Insufficient liquidity",
+    "Insufficient amounts",
+    "Insufficient output amount"
+];
+
+function isExpectedRevert(error) {
+    return EXPECTED_REVERTS.some((reason) => error.message.includes(`reverted with reason string '${reason}'`)
+        || error.reason === reason);
+}
+
+async function expectAllowedRevert(promise) {
+    try {
+        await (await promise).wait();
+        return true;
+    } catch (error) {
+        if (!isExpectedRevert(error)) throw error;
+        return false;
+    }
+}
+
+// Amounts an LP would receive for burning `liquidity`, or zero when the share is too small to withdraw
+async function withdrawable(dex, signer, liquidity) {
+    try {
+        const [amountA, amountB] = await dex.connect(signer).callStatic.removeLiquidity(liquidity);
+        return [amountA.toBigInt(), amountB.toBigInt()];
+    } catch (error) {
+        if (!isExpectedRevert(error)) throw error;
+        return [0n, 0n];
+    }
+}
+
+async function snapshotState(real) {
+    const { dex, tokenA, tokenB } = real;
+    const [reserveA, reserveB] = await dex.getReserves();
+    return {
+        reserveA: reserveA.toBigInt(),
+        reserveB: reserveB.toBigInt(),
+        totalSupply: (await dex.totalLiquidity()).toBigInt(),
+        balanceA: (await tokenA.balanceOf(dex.address)).toBigInt(),
+        balanceB: (await tokenB.balanceOf(dex.address)).toBigInt(),
+        protocolFeesA: (await dex.protocolFeesA()).toBigInt(),
+        protocolFeesB: (await dex.protocolFeesB()).toBigInt()
+    };
+}
+
+async function checkInvariants(real, before, isSwap) {
+    const { dex, accounts } = real;
+    const after = await snapshotState(real);
+    
+    // Every token the pool holds is either a reserve or an uncollected protocol fee
+    expect(after.balanceA).to.equal(after.reserveA + after.protocolFeesA, "token A balance");
+    expect(after.balanceB).to.equal(after.reserveB + after.protocolFeesB, "token B balance");
+    
+    // LP balances, including the locked minimum, add up to the total supply
+    let sum = (await dex.liquidity(DEAD_ADDRESS)).toBigInt();
+    for (const account of accounts) {
+        sum += (await dex.liquidity(account.address)).toBigInt();
+    }
+    expect(sum).to.equal(after.totalSupply, "sum of LP balances");
+    
+    // k never decreases across a swap, and k per LP share^2 never decreases across any step
+    const kBefore = before.reserveA * before.reserveB;
+    const kAfter = after.reserveA * after.reserveB;
+    if (isSwap) {
+        expect(kAfter >= kBefore, `k decreased from ${kBefore} to ${kAfter}`).to.be.true;
+    }
+    if (before.totalSupply > 0n && after.totalSupply > 0n) {
+        const grown = kAfter * before.totalSupply * before.totalSupply >= kBefore * after.totalSupply * after.totalSupply;
+        expect(grown, "k per LP share decreased").to.be.true;
+    }
+    
+    // No LP can withdraw more than its share, and all LPs together cannot withdraw more than the reserves
+    let withdrawableA = 0n;
+    let withdrawableB = 0n;
+    for (const account of accounts) {
+        const balance = (await dex.balanceOf(account.address)).toBigInt();
+        if (balance === 0n) continue;
+        
+        const [amountA, amountB] = await withdrawable(dex, account, balance);
+        expect(amountA * after.totalSupply <= balance * after.reserveA, "LP over-withdraws A").to.be.true;
+        expect(amountB * after.totalSupply <= balance * after.reserveB, "LP over-withdraws B").to.be.true;
+        withdrawableA += amountA;
+        withdrawableB += amountB;
+    }
+    expect(withdrawableA <= after.reserveA, "LPs over-withdraw A").to.be.true;
+    expect(withdrawableB <= after.reserveB, "LPs over-withdraw B").to.be.true;
+}
+
+class AddLiquidityCommand {
+    constructor(account, amountA, amountB) {
+        this.account = account;
+        this.amountA = amountA;
+        this.amountB = amountB;
+    }
+    
+    check() {
+        return true;
+    }
+    
+    async run(model, real) {
+        const before = await snapshotState(real);
+        const signer = real.accounts[this.account];
+        model.succeeded += await expectAllowedRevert(real.dex.connect(signer).addLiquidity(this.amountA, this.amountB));
+        await checkInvariants(real, before, false);
+    }
+    
+    toString() {
+        return `addLiquidity(account${this.account}, ${this.amountA}, ${this.amountB})`;
+    }
+}
+
+class RemoveLiquidityCommand {
+    constructor(account, shareBps) {
+        this.account = account;
+        this.shareBps = shareBps;
+    }
+    
+    check() {
+        return true;
+    }
+    
+    async run(model, real) {
+        const signer = real.accounts[this.account];
+        const balance = (await real.dex.balanceOf(signer.address)).toBigInt();
+        const amount = (balance * BigInt(this.shareBps)) / 10000n;
+        if (amount === 0n) return;
+        
+        const before = await snapshotState(real);
+        model.succeeded += await expectAllowedRevert(real.dex.connect(signer).removeLiquidity(amount));
+        await checkInvariants(real, before, false);
+    }
+    
+    toString() {
+        return `removeLiquidity(account${this.account}, ${this.shareBps / 100}% of balance)`;
+    }
+}
+
+class SwapCommand {
+    constructor(account, aForB, amountIn) {
+        this.account = account;
+        this.aForB = aForB;
+        this.amountIn = amountIn;
+    }
+    
+    check() {
+        return true;
+    }
+    
+    async run(model, real) {
+        const before = await snapshotState(real);
+        const dex = real.dex.connect(real.accounts[this.account]);
+        const tx = this.aForB ? dex.swapAForB(this.amountIn) : dex.swapBForA(this.amountIn);
+        model.succeeded += await expectAllowedRevert(tx);
+        await checkInvariants(real, before, true);
+    }
+    
+    toString() {
+        return `${this.aForB ? "swapAForB" : "swapBForA"}(account${this.account}, ${this.amountIn})`;
+    }
+}
+
+describe("DEX Invariants", function() {
+    this.timeout(20 * 60 * 1000);
+    
+    let real;
+    let snapshotId;
+    
+    // Mix dust amounts, where rounding dominates, with amounts large enough to drain the pool
+    const amount = fc.oneof(
+        fc.bigInt({ min: 1n, max: 10n ** 6n }),
+        fc.bigInt({ min: 1n, max: 10n ** 24n })
+    );
+    const account = fc.nat({ max: NUM_ACCOUNTS - 1 });
+    const commands = [
+        fc.tuple(account, amount, amount).map(([a, x, y]) => new AddLiquidityCommand(a, x, y)),
+        fc.tuple(account, fc.integer({ min: 1, max: 10000 })).map(([a, bps]) => new RemoveLiquidityCommand(a, bps)),
+        fc.tuple(account, fc.boolean(), amount).map(([a, dir, x]) => new SwapCommand(a, dir, x))
+    ];
+    
+    before(async function() {
+        const signers = await ethers.getSigners();
+        const accounts = signers.slice(1, NUM_ACCOUNTS + 1);
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const tokenA = await MockERC20.deploy("Token A", "TKA");
+        const tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        const dex = await DEX.deploy(tokenA.address, tokenB.address);
+        
+        // Keep the protocol fee switch on so fee accounting is part of every check
+        await dex.setFeeRecipient(signers[0].address);
+        await dex.setProtocolFeeShare(2000);
+        
+        for (const signer of accounts) {
+            for (const token of [tokenA, tokenB]) {
+                await token.mint(signer.address, ethers.utils.parseEther("10000000"));
+                await token.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+            }
+        }
+        
+        real = { dex, tokenA, tokenB, accounts };
+        snapshotId = await network.provider.send("evm_snapshot");
+    });
+    
+    it("should hold all invariants across random operation sequences", async function() {
+        let succeeded = 0;
+        await fc.assert(
+            fc.asyncProperty(fc.commands(commands, { maxCommands: MAX_COMMANDS }), async (cmds) => {
+                // Every run, including each shrinking attempt, starts from a fresh pool
+                await network.provider.send("evm_revert", [snapshotId]);
+                snapshotId = await network.provider.send("evm_snapshot");
+                
+                const model = { succeeded: 0 };
+                await fc.asyncModelRun(() => ({ model, real }), cmds);
+                succeeded += model.succeeded;
+            }),
+            { numRuns: NUM_RUNS, seed: SEED }
+        );
+        
+        // Guard against a harness where every step reverts and nothing is checked
+        expect(succeeded).to.be.greaterThan(NUM_RUNS);
+    });
+});
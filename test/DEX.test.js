@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("DEX", function() {
     let dex, tokenA, tokenB;
@@ -33,6 +35,39 @@ describe("DEX", function() {
         await tokenB.connect(addr2).approve(dex.address, ethers.utils.parseEther("1000000"));
     });
     
+    function missingRole(account, role) {
+        return `AccessControl: account ${account.toLowerCase()} is missing role ${role}`;
+    }
+    
+    async function signPermit(token, signer, spender, value, deadline) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: await token.name(),
+            version: "1",
+            chainId,
+            verifyingContract: token.address
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+        const message = {
+            owner: signer.address,
+            spender,
+            value,
+            nonce: await token.nonces(signer.address),
+            deadline
+        };
+        
+        const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+        return { v, r, s };
+    }
+    
     describe("Liquidity Management", function() {
         it("should allow initial liquidity provision", async function() {
             const amountA = ethers.utils.parseEther("100");
@@ -140,6 +175,69 @@ describe("DEX", function() {
         });
     });
     
+    describe("LP Token", function() {
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+        });
+        
+        it("should expose the pool share as an ERC20 token", async function() {
+            expect(await dex.name()).to.equal("DEX LP Token");
+            expect(await dex.symbol()).to.equal("DEX-LP");
+            expect(await dex.decimals()).to.equal(18);
+            expect(await dex.totalSupply()).to.equal(await dex.totalLiquidity());
+            expect(await dex.balanceOf(owner.address)).to.equal(await dex.liquidity(owner.address));
+        });
+        
+        it("should mint LP tokens on addLiquidity", async function() {
+            const amountA = ethers.utils.parseEther("50");
+            const amountB = ethers.utils.parseEther("100");
+            const expected = await dex.connect(addr1).callStatic.addLiquidity(amountA, amountB);
+            
+            await expect(dex.connect(addr1).addLiquidity(amountA, amountB))
+                .to.emit(dex, "Transfer")
+                .withArgs(ethers.constants.AddressZero, addr1.address, expected);
+            
+            expect(await dex.balanceOf(addr1.address)).to.equal(expected);
+        });
+        
+        it("should burn LP tokens on removeLiquidity", async function() {
+            const lpBalance = await dex.balanceOf(owner.address);
+            
+            await expect(dex.removeLiquidity(lpBalance))
+                .to.emit(dex, "Transfer")
+                .withArgs(owner.address, ethers.constants.AddressZero, lpBalance);
+            
+            // Only the permanently locked minimum remains
+            expect(await dex.totalSupply()).to.equal(await dex.MINIMUM_LIQUIDITY());
+        });
+        
+        it("should let the recipient of transferred LP tokens withdraw", async function() {
+            const lpBalance = await dex.balanceOf(owner.address);
+            await dex.transfer(addr1.address, lpBalance);
+            
+            expect(await dex.liquidity(owner.address)).to.equal(0);
+            expect(await dex.liquidity(addr1.address)).to.equal(lpBalance);
+            
+            await expect(dex.removeLiquidity(1)).to.be.revertedWith("Insufficient liquidity");
+            
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            await dex.connect(addr1).removeLiquidity(lpBalance);
+            const balanceAAfter = await tokenA.balanceOf(addr1.address);
+            
+            expect(balanceAAfter.sub(balanceABefore)).to.be.closeTo(ethers.utils.parseEther("100"), 1000);
+        });
+        
+        it("should support approve and transferFrom of LP tokens", async function() {
+            const amount = (await dex.balanceOf(owner.address)).div(4);
+            await dex.approve(addr1.address, amount);
+            
+            await dex.connect(addr1).transferFrom(owner.address, addr2.address, amount);
+            
+            expect(await dex.liquidity(addr2.address)).to.equal(amount);
+            expect(await dex.allowance(owner.address, addr1.address)).to.equal(0);
+        });
+    });
+    
     describe("Token Swaps", function() {
         beforeEach(async function() {
             // Add initial liquidity before swap tests
@@ -268,11 +366,137 @@ describe("DEX", function() {
             expect(priceAfter).to.be.lt(priceBefore);
         });
         
+        it("should calculate the input required for an exact output", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            
+            const amountOut = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const amountIn = await dex.getAmountIn(amountOut, reserves._reserveA, reserves._reserveB);
+            
+            expect(await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB)).to.be.gte(amountOut);
+            expect(await dex.getAmountOut(amountIn.sub(1), reserves._reserveA, reserves._reserveB)).to.be.lt(amountOut);
+            
+            await expect(
+                dex.getAmountIn(reserves._reserveB, reserves._reserveA, reserves._reserveB)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+        
         it("should handle price queries with zero reserves gracefully", async function() {
             await expect(dex.getPrice()).to.be.revertedWith("No liquidity");
         });
     });
     
+    describe("Price Oracle", function() {
+        it("should revert without enough history", async function() {
+            await expect(dex.consult(60)).to.be.revertedWith("Insufficient history");
+            
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await time.increase(60);
+            
+            await expect(dex.consult(3600)).to.be.revertedWith("Insufficient history");
+            await expect(dex.consult(0)).to.be.revertedWith("Invalid window");
+        });
+        
+        it("should equal the spot price while reserves are unchanged", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await time.increase(3600);
+            
+            expect(await dex.consult(1800)).to.equal(await dex.getPrice());
+            expect(await dex.consult(3600)).to.equal(ethers.utils.parseEther("2"));
+        });
+        
+        it("should record at most one observation per block", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            expect(await dex.observationCount()).to.equal(1);
+            
+            await ethers.provider.send("evm_setAutomine", [false]);
+            await dex.swapAForB(ethers.utils.parseEther("1"));
+            await dex.swapBForA(ethers.utils.parseEther("1"));
+            await ethers.provider.send("evm_mine", []);
+            await ethers.provider.send("evm_setAutomine", [true]);
+            
+            expect(await dex.observationCount()).to.equal(2);
+        });
+        
+        it("should overwrite the oldest observation once the buffer is full", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            const first = await time.latest();
+            const cardinality = (await dex.OBSERVATION_CARDINALITY()).toNumber();
+            
+            // One observation per block, wrapping around to slot 0
+            for (let i = 0; i < cardinality; i++) {
+                await dex.sync();
+            }
+            
+            expect(await dex.observationCount()).to.equal(cardinality);
+            expect(await dex.observationIndex()).to.equal(0);
+            const oldest = await dex.observations(1);
+            expect(oldest.timestamp).to.be.gt(first);
+            
+            const now = await time.latest();
+            expect(await dex.consult(now - oldest.timestamp)).to.equal(ethers.utils.parseEther("2"));
+            await expect(dex.consult(now - first)).to.be.revertedWith("Insufficient history");
+        });
+        
+        it("should weight prices by how long they were held", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            const start = await time.latest();
+            await time.increaseTo(start + 1000);
+            
+            // Move the price, then hold it for another 1000 seconds
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            const swapTime = await time.latest();
+            const priceAfterSwap = await dex.getPrice();
+            await time.increaseTo(start + 2000);
+            
+            const initialPrice = ethers.utils.parseEther("2");
+            const elapsedBefore = swapTime - start;
+            const elapsedAfter = start + 2000 - swapTime;
+            const expected = initialPrice.mul(elapsedBefore).add(priceAfterSwap.mul(elapsedAfter)).div(2000);
+            
+            expect(await dex.consult(2000)).to.be.closeTo(expected, 1);
+        });
+        
+        it("should interpolate windows that start between observations", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await time.increase(1000);
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            const priceAfterFirstSwap = await dex.getPrice();
+            await time.increase(1000);
+            await dex.swapBForA(ethers.utils.parseEther("5"));
+            await time.increase(1000);
+            
+            // Entire window falls after the first swap and before now
+            const twap = await dex.consult(1500);
+            const spot = await dex.getPrice();
+            
+            const low = priceAfterFirstSwap.lt(spot) ? priceAfterFirstSwap : spot;
+            const high = priceAfterFirstSwap.lt(spot) ? spot : priceAfterFirstSwap;
+            expect(twap).to.be.gte(low);
+            expect(twap).to.be.lte(high);
+        });
+        
+        it("should barely move the TWAP after a one-block manipulation", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await time.increase(3600);
+            
+            const twapBefore = await dex.consult(3600);
+            const spotBefore = await dex.getPrice();
+            
+            // Attacker dumps half the reserve in a single block
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("50"));
+            await time.increase(12);
+            
+            const spotAfter = await dex.getPrice();
+            const twapAfter = await dex.consult(3600);
+            
+            // Spot price drops by more than 50%...
+            expect(spotBefore.sub(spotAfter)).to.be.gt(spotBefore.div(2));
+            // ...while the one-hour TWAP moves by less than 0.5%
+            expect(twapBefore.sub(twapAfter)).to.be.lt(twapBefore.div(200));
+        });
+    });
+    
     describe("Fee Distribution", function() {
         it("should accumulate fees for liquidity providers", async function() {
             // Add liquidity
@@ -351,6 +575,138 @@ describe("DEX", function() {
         });
     });
     
+    describe("Fee Management", function() {
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+        });
+        
+        it("should grant admin and fee manager roles to the deployer", async function() {
+            expect(await dex.hasRole(await dex.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await dex.hasRole(await dex.FEE_MANAGER_ROLE(), owner.address)).to.equal(true);
+            expect(await dex.swapFee()).to.equal(30);
+            expect(await dex.protocolFeeShare()).to.equal(0);
+        });
+        
+        it("should apply an updated swap fee to quotes and swaps", async function() {
+            await expect(dex.setSwapFee(100))
+                .to.emit(dex, "SwapFeeUpdated")
+                .withArgs(30, 100);
+            
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            
+            // 1% fee: 9900/10000
+            const amountInWithFee = amountIn.mul(9900);
+            const expectedOut = amountInWithFee.mul(reserves._reserveB)
+                .div(reserves._reserveA.mul(10000).add(amountInWithFee));
+            
+            expect(await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB)).to.equal(expectedOut);
+            
+            await expect(dex.swapAForB(amountIn))
+                .to.emit(dex, "Swap")
+                .withArgs(owner.address, tokenA.address, tokenB.address, amountIn, expectedOut);
+        });
+        
+        it("should allow a zero swap fee", async function() {
+            await dex.setSwapFee(0);
+            
+            const reserves = await dex.getReserves();
+            const amountIn = ethers.utils.parseEther("10");
+            const expectedOut = amountIn.mul(reserves._reserveB).div(reserves._reserveA.add(amountIn));
+            
+            expect(await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB)).to.equal(expectedOut);
+        });
+        
+        it("should reject swap fees above the maximum", async function() {
+            const maxFee = await dex.MAX_SWAP_FEE();
+            
+            await expect(dex.setSwapFee(maxFee.add(1))).to.be.revertedWith("Fee too high");
+            await dex.setSwapFee(maxFee);
+        });
+        
+        it("should require a fee recipient before enabling the protocol fee", async function() {
+            await expect(dex.setProtocolFeeShare(1000)).to.be.revertedWith("Fee recipient not set");
+            
+            await expect(dex.setFeeRecipient(ethers.constants.AddressZero)).to.be.revertedWith("Invalid fee recipient");
+            
+            await expect(dex.setFeeRecipient(addr2.address))
+                .to.emit(dex, "FeeRecipientUpdated")
+                .withArgs(ethers.constants.AddressZero, addr2.address);
+            
+            await expect(dex.setProtocolFeeShare(1000))
+                .to.emit(dex, "ProtocolFeeShareUpdated")
+                .withArgs(0, 1000);
+        });
+        
+        it("should reject protocol fee shares above the maximum", async function() {
+            await dex.setFeeRecipient(addr2.address);
+            const maxShare = await dex.MAX_PROTOCOL_FEE_SHARE();
+            
+            await expect(
+                dex.setProtocolFeeShare(maxShare.add(1))
+            ).to.be.revertedWith("Protocol fee share too high");
+        });
+        
+        it("should accrue the protocol share outside the reserves", async function() {
+            await dex.setFeeRecipient(addr2.address);
+            await dex.setProtocolFeeShare(5000); // half of the 0.3% fee
+            
+            const amountIn = ethers.utils.parseEther("10");
+            const reservesBefore = await dex.getReserves();
+            const amountOut = await dex.getAmountOut(amountIn, reservesBefore._reserveA, reservesBefore._reserveB);
+            
+            await dex.connect(addr1).swapAForB(amountIn);
+            
+            // 10 * 0.3% * 50% = 0.015
+            const protocolFee = ethers.utils.parseEther("0.015");
+            expect(await dex.protocolFeesA()).to.equal(protocolFee);
+            
+            const reservesAfter = await dex.getReserves();
+            expect(reservesAfter._reserveA).to.equal(reservesBefore._reserveA.add(amountIn).sub(protocolFee));
+            expect(reservesAfter._reserveB).to.equal(reservesBefore._reserveB.sub(amountOut));
+            
+            // k still grows because the protocol only takes part of the fee
+            expect(reservesAfter._reserveA.mul(reservesAfter._reserveB))
+                .to.be.gt(reservesBefore._reserveA.mul(reservesBefore._reserveB));
+        });
+        
+        it("should send collected protocol fees to the fee recipient", async function() {
+            await dex.setFeeRecipient(addr2.address);
+            await dex.setProtocolFeeShare(5000);
+            
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"));
+            await dex.connect(addr1).swapBForA(ethers.utils.parseEther("20"));
+            
+            const feesA = await dex.protocolFeesA();
+            const feesB = await dex.protocolFeesB();
+            const balanceABefore = await tokenA.balanceOf(addr2.address);
+            const balanceBBefore = await tokenB.balanceOf(addr2.address);
+            
+            await expect(dex.connect(addr1).collectProtocolFees())
+                .to.emit(dex, "ProtocolFeesCollected")
+                .withArgs(addr2.address, feesA, feesB);
+            
+            expect((await tokenA.balanceOf(addr2.address)).sub(balanceABefore)).to.equal(feesA);
+            expect((await tokenB.balanceOf(addr2.address)).sub(balanceBBefore)).to.equal(feesB);
+            expect(await dex.protocolFeesA()).to.equal(0);
+            expect(await dex.protocolFeesB()).to.equal(0);
+        });
+        
+        it("should let the admin delegate fee management", async function() {
+            const feeManagerRole = await dex.FEE_MANAGER_ROLE();
+            await dex.grantRole(feeManagerRole, addr1.address);
+            
+            await expect(dex.connect(addr1).setSwapFee(10))
+                .to.emit(dex, "SwapFeeUpdated")
+                .withArgs(30, 10);
+            
+            await dex.revokeRole(feeManagerRole, addr1.address);
+            await expect(
+                dex.connect(addr1).setSwapFee(20)
+            ).to.be.revertedWith(missingRole(addr1.address, feeManagerRole));
+        });
+    });
+    
     describe("Edge Cases", function() {
         it("should handle very small liquidity amounts", async function() {
             const smallAmount = ethers.utils.parseEther("0.001");
@@ -378,16 +734,903 @@ describe("DEX", function() {
         });
         
         it("should prevent unauthorized access", async function() {
-            // There are no access-restricted functions in this DEX
-            // Anyone can add liquidity, swap, etc.
-            // This test verifies that the contract works for any user
-            
+            // Trading and liquidity stay permissionless...
             await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("20"));
             await dex.connect(addr2).addLiquidity(ethers.utils.parseEther("5"), ethers.utils.parseEther("10"));
             
             const reserves = await dex.getReserves();
             expect(reserves._reserveA).to.equal(ethers.utils.parseEther("15"));
             expect(reserves._reserveB).to.equal(ethers.utils.parseEther("30"));
+            
+            // ...but fee administration is restricted to role holders
+            const feeManagerRole = await dex.FEE_MANAGER_ROLE();
+            const adminRole = await dex.DEFAULT_ADMIN_ROLE();
+            
+            await expect(
+                dex.connect(addr1).setSwapFee(50)
+            ).to.be.revertedWith(missingRole(addr1.address, feeManagerRole));
+            
+            await expect(
+                dex.connect(addr1).setProtocolFeeShare(1000)
+            ).to.be.revertedWith(missingRole(addr1.address, feeManagerRole));
+            
+            await expect(
+                dex.connect(addr1).setFeeRecipient(addr1.address)
+            ).to.be.revertedWith(missingRole(addr1.address, adminRole));
+            
+            await expect(
+                dex.connect(addr1).grantRole(feeManagerRole, addr1.address)
+            ).to.be.revertedWith(missingRole(addr1.address, adminRole));
+        });
+    });
+    
+    describe("Slippage Protection", function() {
+        let deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should swap A for B when output meets the minimum", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            
+            await expect(dex.swapAForBWithSlippage(amountIn, expectedOut, deadline))
+                .to.emit(dex, "Swap")
+                .withArgs(owner.address, tokenA.address, tokenB.address, amountIn, expectedOut);
+        });
+        
+        it("should revert swapAForB when output is below minimum", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            
+            await expect(
+                dex.swapAForBWithSlippage(amountIn, expectedOut.add(1), deadline)
+            ).to.be.revertedWith("Output below minimum");
+        });
+        
+        it("should revert swapBForA when output is below minimum", async function() {
+            const amountIn = ethers.utils.parseEther("20");
+            const reserves = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(amountIn, reserves._reserveB, reserves._reserveA);
+            
+            await expect(
+                dex.swapBForAWithSlippage(amountIn, expectedOut.add(1), deadline)
+            ).to.be.revertedWith("Output below minimum");
+            
+            await dex.swapBForAWithSlippage(amountIn, expectedOut, deadline);
+        });
+        
+        it("should revert when a sandwiching trade moves the price first", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const quoted = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            
+            // Front-runner pushes the price against the victim
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("20"));
+            
+            await expect(
+                dex.swapAForBWithSlippage(amountIn, quoted.mul(99).div(100), deadline)
+            ).to.be.revertedWith("Output below minimum");
+        });
+        
+        it("should revert swaps after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                dex.swapAForBWithSlippage(ethers.utils.parseEther("1"), 0, expired)
+            ).to.be.revertedWith("Transaction expired");
+            
+            await expect(
+                dex.swapBForAWithSlippage(ethers.utils.parseEther("1"), 0, expired)
+            ).to.be.revertedWith("Transaction expired");
+        });
+        
+        it("should only pull the ratio-matching amounts when adding liquidity", async function() {
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+            
+            await dex.connect(addr1).addLiquidityWithSlippage(
+                ethers.utils.parseEther("10"),
+                ethers.utils.parseEther("50"),
+                0,
+                0,
+                deadline
+            );
+            
+            const balanceBAfter = await tokenB.balanceOf(addr1.address);
+            expect(balanceBBefore.sub(balanceBAfter)).to.equal(ethers.utils.parseEther("20"));
+        });
+        
+        it("should revert adding liquidity when token B amount is below minimum", async function() {
+            await expect(
+                dex.connect(addr1).addLiquidityWithSlippage(
+                    ethers.utils.parseEther("10"),
+                    ethers.utils.parseEther("50"),
+                    0,
+                    ethers.utils.parseEther("21"),
+                    deadline
+                )
+            ).to.be.revertedWith("Insufficient B amount");
+        });
+        
+        it("should revert adding liquidity when token A amount is below minimum", async function() {
+            await expect(
+                dex.connect(addr1).addLiquidityWithSlippage(
+                    ethers.utils.parseEther("50"),
+                    ethers.utils.parseEther("20"),
+                    ethers.utils.parseEther("11"),
+                    0,
+                    deadline
+                )
+            ).to.be.revertedWith("Insufficient A amount");
+        });
+        
+        it("should enforce the minimum amounts on the first deposit", async function() {
+            const DEX = await ethers.getContractFactory("DEX");
+            const empty = await DEX.deploy(tokenA.address, tokenB.address);
+            await tokenA.approve(empty.address, ethers.constants.MaxUint256);
+            await tokenB.approve(empty.address, ethers.constants.MaxUint256);
+            
+            const amountA = ethers.utils.parseEther("10");
+            const amountB = ethers.utils.parseEther("20");
+            await expect(
+                empty.addLiquidityWithSlippage(amountA, amountB, amountA.add(1), 0, deadline)
+            ).to.be.revertedWith("Insufficient A amount");
+            await expect(
+                empty.addLiquidityWithSlippage(amountA, amountB, 0, amountB.add(1), deadline)
+            ).to.be.revertedWith("Insufficient B amount");
+            
+            await expect(empty.addLiquidityWithSlippage(amountA, amountB, amountA, amountB, deadline))
+                .to.emit(empty, "LiquidityAdded");
+        });
+        
+        it("should revert adding liquidity after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                dex.connect(addr1).addLiquidityWithSlippage(
+                    ethers.utils.parseEther("10"),
+                    ethers.utils.parseEther("20"),
+                    0,
+                    0,
+                    expired
+                )
+            ).to.be.revertedWith("Transaction expired");
+        });
+        
+        it("should revert removing liquidity when returned amounts are below minimum", async function() {
+            const liquidity = await dex.liquidity(owner.address);
+            const half = liquidity.div(2);
+            const reserves = await dex.getReserves();
+            const total = await dex.totalLiquidity();
+            const expectedA = half.mul(reserves._reserveA).div(total);
+            const expectedB = half.mul(reserves._reserveB).div(total);
+            
+            await expect(
+                dex.removeLiquidityWithSlippage(half, expectedA.add(1), 0, deadline)
+            ).to.be.revertedWith("Insufficient A amount");
+            
+            await expect(
+                dex.removeLiquidityWithSlippage(half, 0, expectedB.add(1), deadline)
+            ).to.be.revertedWith("Insufficient B amount");
+            
+            await expect(dex.removeLiquidityWithSlippage(half, expectedA, expectedB, deadline))
+                .to.emit(dex, "LiquidityRemoved")
+                .withArgs(owner.address, expectedA, expectedB, half);
+        });
+        
+        it("should revert removing liquidity after the deadline", async function() {
+            const liquidity = await dex.liquidity(owner.address);
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                dex.removeLiquidityWithSlippage(liquidity, 0, 0, expired)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+    
+    describe("Optimal Deposits and Zaps", function() {
+        let deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should only pull the ratio-matching amount of token B", async function() {
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+            
+            await expect(dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("50")))
+                .to.emit(dex, "LiquidityAdded")
+                .withArgs(addr1.address, ethers.utils.parseEther("10"), ethers.utils.parseEther("20"), anyValue);
+            
+            expect(balanceABefore.sub(await tokenA.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("10"));
+            expect(balanceBBefore.sub(await tokenB.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("20"));
+        });
+        
+        it("should only pull the ratio-matching amount of token A", async function() {
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("50"), ethers.utils.parseEther("20"));
+            
+            expect(balanceABefore.sub(await tokenA.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("10"));
+            
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(ethers.utils.parseEther("110"));
+            expect(reserves._reserveB).to.equal(ethers.utils.parseEther("220"));
+        });
+        
+        it("should not donate mismatched deposits to existing LPs", async function() {
+            const price = await dex.getPrice();
+            
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("500"));
+            
+            expect(await dex.getPrice()).to.equal(price);
+        });
+        
+        it("should zap token A into liquidity", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+            
+            const tx = dex.connect(addr1).zapIn(tokenA.address, amountIn, 0, deadline);
+            await expect(tx).to.emit(dex, "Swap");
+            await expect(tx).to.emit(dex, "LiquidityAdded");
+            
+            expect(await dex.balanceOf(addr1.address)).to.be.gt(0);
+            
+            // Nearly all of the input is used; only rounding dust is refunded
+            const spentA = balanceABefore.sub(await tokenA.balanceOf(addr1.address));
+            const refundB = (await tokenB.balanceOf(addr1.address)).sub(balanceBBefore);
+            expect(spentA).to.be.closeTo(amountIn, 1000);
+            expect(refundB).to.be.lte(1000);
+        });
+        
+        it("should zap token B into liquidity", async function() {
+            const amountIn = ethers.utils.parseEther("30");
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+            
+            await dex.connect(addr1).zapIn(tokenB.address, amountIn, 0, deadline);
+            
+            const spentB = balanceBBefore.sub(await tokenB.balanceOf(addr1.address));
+            expect(spentB).to.be.closeTo(amountIn, 1000);
+            expect(await dex.balanceOf(addr1.address)).to.be.gt(0);
+        });
+        
+        it("should revert zaps with an invalid token or below the minimum liquidity", async function() {
+            await expect(
+                dex.zapIn(addr1.address, ethers.utils.parseEther("1"), 0, deadline)
+            ).to.be.revertedWith("Invalid token");
+            
+            const amountIn = ethers.utils.parseEther("10");
+            const minted = await dex.connect(addr1).callStatic.zapIn(tokenA.address, amountIn, 0, deadline);
+            
+            await expect(
+                dex.connect(addr1).zapIn(tokenA.address, amountIn, minted.add(1), deadline)
+            ).to.be.revertedWith("Liquidity below minimum");
+        });
+        
+        it("should revert zaps after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                dex.zapIn(tokenA.address, ethers.utils.parseEther("1"), 0, expired)
+            ).to.be.revertedWith("Transaction expired");
+        });
+        
+        it("should revert zaps into an empty pool", async function() {
+            const DEX = await ethers.getContractFactory("DEX");
+            const emptyDex = await DEX.deploy(tokenA.address, tokenB.address);
+            
+            await expect(
+                emptyDex.zapIn(tokenA.address, ethers.utils.parseEther("1"), 0, deadline)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+    });
+    
+    describe("Flash Swaps", function() {
+        const Mode = { Repay: 0, RepayInOther: 1, Underpay: 2, Reenter: 3, Keep: 4 };
+        let receiver;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            
+            const MockFlashSwapReceiver = await ethers.getContractFactory("MockFlashSwapReceiver");
+            receiver = await MockFlashSwapReceiver.deploy(dex.address);
+            
+            // Fund the receiver so it can cover fees
+            await tokenA.mint(receiver.address, ethers.utils.parseEther("100"));
+            await tokenB.mint(receiver.address, ethers.utils.parseEther("100"));
+        });
+        
+        it("should lend both tokens when repaid with the fee", async function() {
+            const amountAOut = ethers.utils.parseEther("10");
+            const amountBOut = ethers.utils.parseEther("20");
+            const reservesBefore = await dex.getReserves();
+            
+            await expect(receiver.flash(amountAOut, amountBOut, Mode.Repay))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(receiver.address, receiver.address, amountAOut, amountBOut, anyValue, anyValue);
+            
+            const reservesAfter = await dex.getReserves();
+            expect(reservesAfter._reserveA).to.be.gt(reservesBefore._reserveA);
+            expect(reservesAfter._reserveB).to.be.gt(reservesBefore._reserveB);
+            expect(reservesAfter._reserveA).to.equal(await tokenA.balanceOf(dex.address));
+            expect(reservesAfter._reserveB).to.equal(await tokenB.balanceOf(dex.address));
+        });
+        
+        it("should allow repaying in the other token", async function() {
+            const amountBOut = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const amountAIn = await dex.getAmountIn(amountBOut, reserves._reserveA, reserves._reserveB);
+            
+            await expect(receiver.flash(0, amountBOut, Mode.RepayInOther))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(receiver.address, receiver.address, 0, amountBOut, amountAIn, 0);
+            
+            const reservesAfter = await dex.getReserves();
+            expect(reservesAfter._reserveA).to.equal(reserves._reserveA.add(amountAIn));
+            expect(reservesAfter._reserveB).to.equal(reserves._reserveB.sub(amountBOut));
+        });
+        
+        it("should revert when the receiver underpays", async function() {
+            await expect(
+                receiver.flash(ethers.utils.parseEther("10"), 0, Mode.Underpay)
+            ).to.be.revertedWith("K invariant violated");
+        });
+        
+        it("should revert when the receiver re-enters the pool", async function() {
+            await expect(
+                receiver.flash(ethers.utils.parseEther("10"), 0, Mode.Reenter)
+            ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+        });
+        
+        it("should revert when nothing is paid back", async function() {
+            await expect(
+                receiver.flash(ethers.utils.parseEther("10"), 0, Mode.Keep)
+            ).to.be.revertedWith("Insufficient input amount");
+        });
+        
+        it("should let receivers reject flash swaps they did not start", async function() {
+            await expect(
+                dex.flashSwap(ethers.utils.parseEther("1"), 0, receiver.address, "0x")
+            ).to.be.revertedWith("Unauthorized initiator");
+        });
+        
+        it("should validate flash swap parameters", async function() {
+            const reserves = await dex.getReserves();
+            
+            await expect(
+                receiver.flash(0, 0, Mode.Repay)
+            ).to.be.revertedWith("Insufficient output amount");
+            
+            await expect(
+                receiver.flash(reserves._reserveA, 0, Mode.Repay)
+            ).to.be.revertedWith("Insufficient liquidity");
+            
+            await expect(
+                dex.flashSwap(1, 0, tokenA.address, "0x")
+            ).to.be.revertedWith("Invalid recipient");
+        });
+        
+        it("should accrue the protocol fee share on flash swaps", async function() {
+            await dex.setFeeRecipient(addr2.address);
+            await dex.setProtocolFeeShare(5000);
+            
+            await receiver.flash(ethers.utils.parseEther("10"), 0, Mode.Repay);
+            
+            expect(await dex.protocolFeesA()).to.be.gt(0);
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA.add(await dex.protocolFeesA())).to.equal(await tokenA.balanceOf(dex.address));
+        });
+    });
+    
+    describe("Reserve Sync and Donation Protection", function() {
+        it("should lock MINIMUM_LIQUIDITY on the first deposit", async function() {
+            const amountA = ethers.utils.parseEther("100");
+            const amountB = ethers.utils.parseEther("200");
+            const minimum = await dex.MINIMUM_LIQUIDITY();
+            const dead = await dex.DEAD_ADDRESS();
+            
+            await dex.addLiquidity(amountA, amountB);
+            
+            expect(await dex.balanceOf(dead)).to.equal(minimum);
+            expect(await dex.totalSupply()).to.equal(
+                (await dex.balanceOf(owner.address)).add(minimum)
+            );
+        });
+        
+        it("should reject first deposits too small to cover the locked minimum", async function() {
+            await expect(dex.addLiquidity(1000, 1000)).to.be.revertedWith("Insufficient liquidity minted");
+            await dex.addLiquidity(1001, 1001);
+            expect(await dex.balanceOf(owner.address)).to.equal(1);
+        });
+        
+        it("should make share price inflation unprofitable for the first LP", async function() {
+            // Attacker mints a single share, then donates and syncs to inflate its price
+            await dex.connect(addr1).addLiquidity(1001, 1001);
+            const donation = ethers.utils.parseEther("1000");
+            await tokenA.connect(addr1).transfer(dex.address, donation);
+            await tokenB.connect(addr1).transfer(dex.address, donation);
+            await dex.sync();
+            
+            // Victim still receives shares for a much smaller deposit
+            const deposit = ethers.utils.parseEther("10");
+            await dex.connect(addr2).addLiquidity(deposit, deposit);
+            expect(await dex.balanceOf(addr2.address)).to.be.gt(0);
+            
+            // The attacker's single share can only reclaim a sliver of the donation
+            const [amountA] = await dex.connect(addr1).callStatic.removeLiquidity(await dex.balanceOf(addr1.address));
+            expect(amountA).to.be.lt(donation.div(100));
+        });
+        
+        it("should sync reserves to balances after a direct transfer", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await tokenA.transfer(dex.address, ethers.utils.parseEther("5"));
+            
+            await expect(dex.sync())
+                .to.emit(dex, "Sync")
+                .withArgs(ethers.utils.parseEther("105"), ethers.utils.parseEther("200"));
+            
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(await tokenA.balanceOf(dex.address));
+        });
+        
+        it("should skim tokens held above the reserves", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await tokenA.transfer(dex.address, ethers.utils.parseEther("5"));
+            await tokenB.transfer(dex.address, ethers.utils.parseEther("7"));
+            
+            await dex.skim(addr2.address);
+            
+            expect(await tokenA.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("10005"));
+            expect(await tokenB.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("10007"));
+            
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(ethers.utils.parseEther("100"));
+            expect(reserves._reserveB).to.equal(ethers.utils.parseEther("200"));
+        });
+        
+        it("should leave accrued protocol fees out of sync and skim", async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.setFeeRecipient(addr2.address);
+            await dex.setProtocolFeeShare(5000);
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"));
+            
+            const fees = await dex.protocolFeesA();
+            const reserves = await dex.getReserves();
+            
+            await dex.skim(addr1.address);
+            await dex.sync();
+            
+            expect((await dex.getReserves())._reserveA).to.equal(reserves._reserveA);
+            expect(await tokenA.balanceOf(dex.address)).to.equal(reserves._reserveA.add(fees));
+        });
+        
+        describe("Fee-on-transfer tokens", function() {
+            let feeToken, feeDex;
+            
+            beforeEach(async function() {
+                const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+                feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE");
+                
+                const DEX = await ethers.getContractFactory("DEX");
+                feeDex = await DEX.deploy(feeToken.address, tokenB.address);
+                
+                await feeToken.approve(feeDex.address, ethers.constants.MaxUint256);
+                await tokenB.approve(feeDex.address, ethers.constants.MaxUint256);
+            });
+            
+            it("should credit only the amount received when adding liquidity", async function() {
+                const amount = ethers.utils.parseEther("100");
+                
+                await expect(feeDex.addLiquidity(amount, amount))
+                    .to.emit(feeDex, "LiquidityAdded")
+                    .withArgs(owner.address, ethers.utils.parseEther("99"), amount, anyValue);
+                
+                const reserves = await feeDex.getReserves();
+                expect(reserves._reserveA).to.equal(await feeToken.balanceOf(feeDex.address));
+            });
+            
+            it("should add the surplus of the full-value token to the reserves when the fee token arrives short", async function() {
+                await feeDex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+                const [reserveA, reserveB] = await feeDex.getReserves();
+                const supply = await feeDex.totalSupply();
+                
+                // The ratio asks for 9.9 A with 10 B, but only 9.801 A arrives
+                const receivedA = ethers.utils.parseEther("9.801");
+                await expect(feeDex.addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("10")))
+                    .to.emit(feeDex, "LiquidityAdded")
+                    .withArgs(owner.address, receivedA, ethers.utils.parseEther("10"), receivedA.mul(supply).div(reserveA));
+                
+                // LP tokens follow the A side; the extra 0.1 B stays in the pool for all LPs
+                const [, reserveBAfter] = await feeDex.getReserves();
+                expect(reserveBAfter.sub(reserveB)).to.equal(ethers.utils.parseEther("10"));
+                expect(receivedA.mul(reserveB).div(reserveA)).to.equal(ethers.utils.parseEther("9.9"));
+            });
+            
+            it("should check the minimum amounts against what was received", async function() {
+                const amount = ethers.utils.parseEther("100");
+                const deadline = (await time.latest()) + 3600;
+                
+                // 1% of the fee token is burned on the way in, on the first and on later deposits
+                await expect(feeDex.addLiquidityWithSlippage(amount, amount, amount, 0, deadline))
+                    .to.be.revertedWith("Insufficient A amount");
+                await feeDex.addLiquidityWithSlippage(amount, amount, ethers.utils.parseEther("99"), amount, deadline);
+                
+                // 99 A matches the pool ratio, but only 98.01 A arrives
+                await expect(feeDex.addLiquidityWithSlippage(amount, amount, ethers.utils.parseEther("99"), 0, deadline))
+                    .to.be.revertedWith("Insufficient A amount");
+            });
+            
+            it("should price swaps on the amount received", async function() {
+                await feeDex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+                
+                const amountIn = ethers.utils.parseEther("10");
+                const received = ethers.utils.parseEther("9.9");
+                const reserves = await feeDex.getReserves();
+                const expectedOut = await feeDex.getAmountOut(received, reserves._reserveA, reserves._reserveB);
+                
+                await expect(feeDex.swapAForB(amountIn))
+                    .to.emit(feeDex, "Swap")
+                    .withArgs(owner.address, feeToken.address, tokenB.address, received, expectedOut);
+                
+                const reservesAfter = await feeDex.getReserves();
+                expect(reservesAfter._reserveA).to.equal(await feeToken.balanceOf(feeDex.address));
+                expect(reservesAfter._reserveB).to.equal(await tokenB.balanceOf(feeDex.address));
+            });
+            
+            it("should keep reserves equal to balances when paying out the fee token", async function() {
+                await feeDex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+                await feeDex.swapBForA(ethers.utils.parseEther("10"));
+                
+                const reserves = await feeDex.getReserves();
+                expect(reserves._reserveA).to.equal(await feeToken.balanceOf(feeDex.address));
+            });
+        });
+    });
+    
+    describe("Permit", function() {
+        let trader, deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            
+            // A fresh account that has never approved the DEX
+            trader = (await ethers.getSigners())[3];
+            await tokenA.mint(trader.address, ethers.utils.parseEther("1000"));
+            await tokenB.mint(trader.address, ethers.utils.parseEther("1000"));
+            
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should support EIP-2612 permit on MockERC20", async function() {
+            const value = ethers.utils.parseEther("5");
+            const sig = await signPermit(tokenA, trader, addr1.address, value, deadline);
+            
+            await tokenA.permit(trader.address, addr1.address, value, deadline, sig.v, sig.r, sig.s);
+            
+            expect(await tokenA.allowance(trader.address, addr1.address)).to.equal(value);
+            expect(await tokenA.nonces(trader.address)).to.equal(1);
+        });
+        
+        it("should swap A for B with a permit instead of an approval", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            const sig = await signPermit(tokenA, trader, dex.address, amountIn, deadline);
+            
+            await expect(dex.connect(trader).swapAForBWithPermit(amountIn, expectedOut, deadline, sig))
+                .to.emit(dex, "Swap")
+                .withArgs(trader.address, tokenA.address, tokenB.address, amountIn, expectedOut);
+            
+            expect(await tokenA.allowance(trader.address, dex.address)).to.equal(0);
+        });
+        
+        it("should swap B for A with a permit instead of an approval", async function() {
+            const amountIn = ethers.utils.parseEther("20");
+            const balanceABefore = await tokenA.balanceOf(trader.address);
+            const sig = await signPermit(tokenB, trader, dex.address, amountIn, deadline);
+            
+            await dex.connect(trader).swapBForAWithPermit(amountIn, 0, deadline, sig);
+            
+            expect(await tokenA.balanceOf(trader.address)).to.be.gt(balanceABefore);
+        });
+        
+        it("should add liquidity with permits for both tokens", async function() {
+            const amountA = ethers.utils.parseEther("10");
+            const amountB = ethers.utils.parseEther("20");
+            const sigA = await signPermit(tokenA, trader, dex.address, amountA, deadline);
+            const sigB = await signPermit(tokenB, trader, dex.address, amountB, deadline);
+            
+            await expect(dex.connect(trader).addLiquidityWithPermit(amountA, amountB, 0, 0, deadline, sigA, sigB))
+                .to.emit(dex, "LiquidityAdded")
+                .withArgs(trader.address, amountA, amountB, anyValue);
+            
+            expect(await dex.balanceOf(trader.address)).to.be.gt(0);
+        });
+        
+        it("should leave the unused part of a liquidity permit approved to the pool", async function() {
+            // Pool ratio is 1:2, so only 10 A of the 15 A permitted is deposited
+            const amountA = ethers.utils.parseEther("15");
+            const amountB = ethers.utils.parseEther("20");
+            const sigA = await signPermit(tokenA, trader, dex.address, amountA, deadline);
+            const sigB = await signPermit(tokenB, trader, dex.address, amountB, deadline);
+            
+            await dex.connect(trader).addLiquidityWithPermit(amountA, amountB, 0, 0, deadline, sigA, sigB);
+            
+            expect(await tokenA.allowance(trader.address, dex.address)).to.equal(ethers.utils.parseEther("5"));
+            expect(await tokenB.allowance(trader.address, dex.address)).to.equal(0);
+        });
+        
+        it("should still swap when someone front-runs the permit", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const sig = await signPermit(tokenA, trader, dex.address, amountIn, deadline);
+            
+            // Copied from the mempool and submitted first, consuming the nonce
+            await tokenA.connect(addr2).permit(trader.address, dex.address, amountIn, deadline, sig.v, sig.r, sig.s);
+            
+            await expect(dex.connect(trader).swapAForBWithPermit(amountIn, 0, deadline, sig))
+                .to.emit(dex, "Swap");
+            expect(await tokenA.allowance(trader.address, dex.address)).to.equal(0);
+        });
+        
+        it("should still add liquidity when someone front-runs the permits", async function() {
+            const amountA = ethers.utils.parseEther("10");
+            const amountB = ethers.utils.parseEther("20");
+            const sigA = await signPermit(tokenA, trader, dex.address, amountA, deadline);
+            const sigB = await signPermit(tokenB, trader, dex.address, amountB, deadline);
+            await tokenA.connect(addr2).permit(trader.address, dex.address, amountA, deadline, sigA.v, sigA.r, sigA.s);
+            
+            await expect(dex.connect(trader).addLiquidityWithPermit(amountA, amountB, 0, 0, deadline, sigA, sigB))
+                .to.emit(dex, "LiquidityAdded");
+        });
+        
+        it("should reject a permit signed by someone else", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const sig = await signPermit(tokenA, addr2, dex.address, amountIn, deadline);
+            
+            // The failed permit is ignored, so the missing allowance is what stops the swap
+            await expect(
+                dex.connect(trader).swapAForBWithPermit(amountIn, 0, deadline, sig)
+            ).to.be.revertedWith("ERC20: insufficient allowance");
+        });
+        
+        it("should reject expired permits", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const expired = (await time.latest()) - 1;
+            const sig = await signPermit(tokenA, trader, dex.address, amountIn, expired);
+            
+            await expect(
+                dex.connect(trader).swapAForBWithPermit(amountIn, 0, expired, sig)
+            ).to.be.revertedWith("Transaction expired");
+        });
+        
+        it("should let a relayer remove liquidity with an LP permit", async function() {
+            const liquidity = await dex.balanceOf(owner.address);
+            const half = liquidity.div(2);
+            const sig = await signPermit(dex, owner, addr1.address, half, deadline);
+            
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            const relayerBalanceBefore = await tokenA.balanceOf(addr1.address);
+            
+            await expect(dex.connect(addr1).removeLiquidityWithPermit(owner.address, half, 0, 0, deadline, sig))
+                .to.emit(dex, "LiquidityRemoved")
+                .withArgs(owner.address, anyValue, anyValue, half);
+            
+            expect(await dex.balanceOf(owner.address)).to.equal(liquidity.sub(half));
+            expect(await tokenA.balanceOf(owner.address)).to.be.gt(balanceABefore);
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(relayerBalanceBefore);
+            expect(await dex.allowance(owner.address, addr1.address)).to.equal(0);
+        });
+        
+        it("should still remove liquidity when someone front-runs the LP permit", async function() {
+            const half = (await dex.balanceOf(owner.address)).div(2);
+            const sig = await signPermit(dex, owner, addr1.address, half, deadline);
+            await dex.connect(addr2).permit(owner.address, addr1.address, half, deadline, sig.v, sig.r, sig.s);
+            
+            await expect(dex.connect(addr1).removeLiquidityWithPermit(owner.address, half, 0, 0, deadline, sig))
+                .to.emit(dex, "LiquidityRemoved")
+                .withArgs(owner.address, anyValue, anyValue, half);
+            expect(await dex.allowance(owner.address, addr1.address)).to.equal(0);
+        });
+        
+        it("should reject LP permit removal by anyone but the permitted spender", async function() {
+            const liquidity = await dex.balanceOf(owner.address);
+            const sig = await signPermit(dex, owner, addr1.address, liquidity, deadline);
+            
+            await expect(
+                dex.connect(addr2).removeLiquidityWithPermit(owner.address, liquidity, 0, 0, deadline, sig)
+            ).to.be.revertedWith("ERC20: insufficient allowance");
+        });
+    });
+    
+    describe("Emergency Pause", function() {
+        let deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should let the guardian pause and unpause with events", async function() {
+            const GUARDIAN_ROLE = await dex.GUARDIAN_ROLE();
+            expect(await dex.hasRole(GUARDIAN_ROLE, owner.address)).to.equal(true);
+            
+            await expect(dex.pause()).to.emit(dex, "Paused").withArgs(owner.address);
+            expect(await dex.paused()).to.equal(true);
+            
+            await expect(dex.unpause()).to.emit(dex, "Unpaused").withArgs(owner.address);
+            expect(await dex.paused()).to.equal(false);
+        });
+        
+        it("should only let guardians pause", async function() {
+            const GUARDIAN_ROLE = await dex.GUARDIAN_ROLE();
+            await expect(dex.connect(addr1).pause()).to.be.revertedWith(missingRole(addr1.address, GUARDIAN_ROLE));
+            
+            await dex.grantRole(GUARDIAN_ROLE, addr1.address);
+            await dex.connect(addr1).pause();
+            await expect(dex.connect(addr2).unpause()).to.be.revertedWith(missingRole(addr2.address, GUARDIAN_ROLE));
+        });
+        
+        it("should block swaps, deposits, zaps and flash swaps while paused", async function() {
+            await dex.pause();
+            const amount = ethers.utils.parseEther("1");
+            const paused = "Pausable: paused";
+            
+            await expect(dex.swapAForB(amount)).to.be.revertedWith(paused);
+            await expect(dex.swapBForA(amount)).to.be.revertedWith(paused);
+            await expect(dex.swapAForBWithSlippage(amount, 0, deadline)).to.be.revertedWith(paused);
+            await expect(dex.swapBForAWithSlippage(amount, 0, deadline)).to.be.revertedWith(paused);
+            await expect(dex.addLiquidity(amount, amount)).to.be.revertedWith(paused);
+            await expect(dex.addLiquidityWithSlippage(amount, amount, 0, 0, deadline)).to.be.revertedWith(paused);
+            await expect(dex.zapIn(tokenA.address, amount, 0, deadline)).to.be.revertedWith(paused);
+            
+            const sig = { v: 27, r: ethers.constants.HashZero, s: ethers.constants.HashZero };
+            await expect(dex.swapAForBWithPermit(amount, 0, deadline, sig)).to.be.revertedWith(paused);
+            await expect(dex.swapBForAWithPermit(amount, 0, deadline, sig)).to.be.revertedWith(paused);
+            await expect(dex.addLiquidityWithPermit(amount, amount, 0, 0, deadline, sig, sig)).to.be.revertedWith(paused);
+            await expect(dex.flashSwap(amount, 0, addr1.address, "0x")).to.be.revertedWith(paused);
+        });
+        
+        it("should keep withdrawals open while paused", async function() {
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("20"));
+            await dex.pause();
+            
+            const liquidity = await dex.balanceOf(owner.address);
+            await expect(dex.removeLiquidity(liquidity.div(2))).to.emit(dex, "LiquidityRemoved");
+            await expect(dex.removeLiquidityWithSlippage(liquidity.div(4), 0, 0, deadline))
+                .to.emit(dex, "LiquidityRemoved");
+            
+            const balanceA = await tokenA.balanceOf(addr1.address);
+            await dex.connect(addr1).removeLiquidity(await dex.balanceOf(addr1.address));
+            expect(await tokenA.balanceOf(addr1.address)).to.be.gt(balanceA);
+            expect(await dex.balanceOf(addr1.address)).to.equal(0);
+        });
+        
+        it("should resume trading after unpausing", async function() {
+            await dex.pause();
+            await dex.unpause();
+            await expect(dex.swapAForB(ethers.utils.parseEther("1"))).to.emit(dex, "Swap");
+        });
+    });
+    
+    describe("Migration", function() {
+        let newPool, deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("20"));
+            deadline = (await time.latest()) + 3600;
+            
+            const DEX = await ethers.getContractFactory("DEX");
+            newPool = await DEX.deploy(tokenA.address, tokenB.address);
+            await tokenA.approve(newPool.address, ethers.constants.MaxUint256);
+            await tokenB.approve(newPool.address, ethers.constants.MaxUint256);
+        });
+        
+        it("should let the admin set the migration target", async function() {
+            await expect(dex.setMigrationTarget(newPool.address))
+                .to.emit(dex, "MigrationTargetUpdated")
+                .withArgs(ethers.constants.AddressZero, newPool.address);
+            expect(await dex.migrationTarget()).to.equal(newPool.address);
+            
+            const DEFAULT_ADMIN_ROLE = await dex.DEFAULT_ADMIN_ROLE();
+            await expect(dex.connect(addr1).setMigrationTarget(newPool.address))
+                .to.be.revertedWith(missingRole(addr1.address, DEFAULT_ADMIN_ROLE));
+        });
+        
+        it("should reject targets for a different pair", async function() {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const tokenC = await MockERC20.deploy("Token C", "TKC");
+            const DEX = await ethers.getContractFactory("DEX");
+            const otherPool = await DEX.deploy(tokenA.address, tokenC.address);
+            const reversedPool = await DEX.deploy(tokenB.address, tokenA.address);
+            
+            await expect(dex.setMigrationTarget(otherPool.address)).to.be.revertedWith("Token mismatch");
+            await expect(dex.setMigrationTarget(reversedPool.address)).to.be.revertedWith("Token mismatch");
+            await expect(dex.setMigrationTarget(dex.address)).to.be.revertedWith("Invalid migration target");
+        });
+        
+        it("should only migrate once a target is set", async function() {
+            const liquidity = await dex.balanceOf(addr1.address);
+            await expect(dex.connect(addr1).migrate(liquidity, 0, 0, deadline))
+                .to.be.revertedWith("Migration not enabled");
+        });
+        
+        it("should move an LP's position into an empty new pool", async function() {
+            await dex.setMigrationTarget(newPool.address);
+            const liquidity = await dex.balanceOf(addr1.address);
+            const reserves = await dex.getReserves();
+            const supply = await dex.totalSupply();
+            const amountA = liquidity.mul(reserves._reserveA).div(supply);
+            const amountB = liquidity.mul(reserves._reserveB).div(supply);
+            
+            const minted = await dex.connect(addr1).callStatic.migrate(liquidity, 0, 0, deadline);
+            await expect(dex.connect(addr1).migrate(liquidity, 0, 0, deadline))
+                .to.emit(dex, "LiquidityRemoved").withArgs(addr1.address, amountA, amountB, liquidity)
+                .and.to.emit(dex, "Migrated").withArgs(addr1.address, newPool.address, liquidity, minted)
+                .and.to.emit(newPool, "LiquidityAdded").withArgs(dex.address, amountA, amountB, minted);
+            
+            expect(await dex.balanceOf(addr1.address)).to.equal(0);
+            expect(await newPool.balanceOf(addr1.address)).to.equal(minted);
+            expect(await newPool.balanceOf(dex.address)).to.equal(0);
+            
+            const newReserves = await newPool.getReserves();
+            expect(newReserves._reserveA).to.equal(amountA);
+            expect(newReserves._reserveB).to.equal(amountB);
+        });
+        
+        it("should refund what does not fit the new pool's ratio", async function() {
+            // The new pool prices A at 1 B instead of 2 B
+            await newPool.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+            await dex.setMigrationTarget(newPool.address);
+            
+            const liquidity = await dex.balanceOf(addr1.address);
+            const balanceA = await tokenA.balanceOf(addr1.address);
+            const balanceB = await tokenB.balanceOf(addr1.address);
+            await dex.connect(addr1).migrate(liquidity, 0, 0, deadline);
+            
+            // About 10 A and 20 B came out; 10 of each went in and 10 B was refunded
+            expect(await tokenA.balanceOf(addr1.address)).to.be.closeTo(balanceA, 10);
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceB)).to.be.closeTo(ethers.utils.parseEther("10"), 10);
+            expect(await newPool.balanceOf(addr1.address)).to.be.gt(0);
+            expect(await tokenA.allowance(dex.address, newPool.address)).to.equal(0);
+            expect(await tokenB.allowance(dex.address, newPool.address)).to.equal(0);
+        });
+        
+        it("should enforce minimum deposits and the deadline", async function() {
+            await newPool.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+            await dex.setMigrationTarget(newPool.address);
+            const liquidity = await dex.balanceOf(addr1.address);
+            
+            await expect(dex.connect(addr1).migrate(liquidity, 0, ethers.utils.parseEther("15"), deadline))
+                .to.be.revertedWith("Insufficient B amount");
+            await expect(dex.connect(addr1).migrate(liquidity, 0, 0, (await time.latest()) - 1))
+                .to.be.revertedWith("Transaction expired");
+            await expect(dex.connect(addr1).migrate(liquidity.add(1), 0, 0, deadline))
+                .to.be.revertedWith("Insufficient liquidity");
+        });
+        
+        it("should keep migration open while paused", async function() {
+            await dex.setMigrationTarget(newPool.address);
+            await dex.pause();
+            
+            const liquidity = await dex.balanceOf(addr1.address);
+            await expect(dex.connect(addr1).migrate(liquidity, 0, 0, deadline)).to.emit(dex, "Migrated");
+        });
+        
+        it("should keep the old pool's reserves and balances consistent", async function() {
+            await dex.setMigrationTarget(newPool.address);
+            await dex.connect(addr1).migrate(await dex.balanceOf(addr1.address), 0, 0, deadline);
+            
+            const reserves = await dex.getReserves();
+            expect(await tokenA.balanceOf(dex.address)).to.equal(reserves._reserveA);
+            expect(await tokenB.balanceOf(dex.address)).to.equal(reserves._reserveB);
         });
     });
     
@@ -396,9 +1639,11 @@ describe("DEX", function() {
             const amountA = ethers.utils.parseEther("100");
             const amountB = ethers.utils.parseEther("200");
             
+            const expectedLiquidity = await dex.callStatic.addLiquidity(amountA, amountB);
+            
             await expect(dex.addLiquidity(amountA, amountB))
                 .to.emit(dex, "LiquidityAdded")
-                .withArgs(owner.address, amountA, amountB, await dex.callStatic.addLiquidity(amountA, amountB));
+                .withArgs(owner.address, amountA, amountB, expectedLiquidity);
         });
         
         it("should emit LiquidityRemoved event", async function() {
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DEXFactory", function() {
+    let factory, tokenA, tokenB, tokenC;
+    let owner, addr1;
+    
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+        
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy();
+    });
+    
+    describe("Pair Creation", function() {
+        it("should create a pair and register it in both directions", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            
+            const pair = await factory.getPair(tokenA.address, tokenB.address);
+            expect(pair).to.not.equal(ethers.constants.AddressZero);
+            expect(await factory.getPair(tokenB.address, tokenA.address)).to.equal(pair);
+            expect(await factory.allPairsLength()).to.equal(1);
+            expect(await factory.allPairs(0)).to.equal(pair);
+        });
+        
+        it("should sort pair tokens canonically", async function() {
+            await factory.createPair(tokenB.address, tokenA.address);
+            
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            const [token0, token1] = await factory.sortTokens(tokenA.address, tokenB.address);
+            
+            expect(token0.toLowerCase() < token1.toLowerCase()).to.equal(true);
+            expect(await pair.tokenA()).to.equal(token0);
+            expect(await pair.tokenB()).to.equal(token1);
+        });
+        
+        it("should emit PairCreated with sorted tokens", async function() {
+            const [token0, token1] = await factory.sortTokens(tokenA.address, tokenB.address);
+            const pair = await factory.callStatic.createPair(tokenB.address, tokenA.address);
+            
+            await expect(factory.createPair(tokenB.address, tokenA.address))
+                .to.emit(factory, "PairCreated")
+                .withArgs(token0, token1, pair, 0);
+        });
+        
+        it("should reject duplicate pairs in either order", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            
+            await expect(
+                factory.createPair(tokenA.address, tokenB.address)
+            ).to.be.revertedWith("Pair already exists");
+            
+            await expect(
+                factory.createPair(tokenB.address, tokenA.address)
+            ).to.be.revertedWith("Pair already exists");
+        });
+        
+        it("should reject identical and zero addresses", async function() {
+            await expect(
+                factory.createPair(tokenA.address, tokenA.address)
+            ).to.be.revertedWith("Tokens must be different");
+            
+            await expect(
+                factory.createPair(tokenA.address, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid token address");
+        });
+        
+        it("should enumerate every created pair", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            await factory.connect(addr1).createPair(tokenA.address, tokenC.address);
+            await factory.createPair(tokenB.address, tokenC.address);
+            
+            expect(await factory.allPairsLength()).to.equal(3);
+            
+            const pairs = [];
+            for (let i = 0; i < 3; i++) {
+                pairs.push(await factory.allPairs(i));
+            }
+            
+            expect(pairs).to.deep.equal([
+                await factory.getPair(tokenA.address, tokenB.address),
+                await factory.getPair(tokenA.address, tokenC.address),
+                await factory.getPair(tokenB.address, tokenC.address)
+            ]);
+        });
+    });
+    
+    describe("Created Pools", function() {
+        it("should hand pool roles to the factory owner", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            
+            const adminRole = await pair.DEFAULT_ADMIN_ROLE();
+            const feeManagerRole = await pair.FEE_MANAGER_ROLE();
+            const guardianRole = await pair.GUARDIAN_ROLE();
+            const deployer = await factory.deployer();
+            
+            for (const role of [adminRole, feeManagerRole, guardianRole]) {
+                expect(await pair.hasRole(role, owner.address)).to.equal(true);
+                expect(await pair.hasRole(role, factory.address)).to.equal(false);
+                expect(await pair.hasRole(role, deployer)).to.equal(false);
+            }
+        });
+        
+        it("should keep pool roles with the owner at creation time", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            const adminRole = await pair.DEFAULT_ADMIN_ROLE();
+            
+            await factory.transferOwnership(addr1.address);
+            expect(await pair.hasRole(adminRole, owner.address)).to.equal(true);
+            expect(await pair.hasRole(adminRole, addr1.address)).to.equal(false);
+            
+            // Pools created afterwards go to the new owner
+            await factory.connect(addr1).createPair(tokenA.address, tokenC.address);
+            const next = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenC.address));
+            expect(await next.hasRole(adminRole, addr1.address)).to.equal(true);
+        });
+        
+        it("should refuse to create pools once ownership is renounced", async function() {
+            await factory.renounceOwnership();
+            await expect(factory.createPair(tokenA.address, tokenB.address))
+                .to.be.revertedWith("Factory has no owner");
+        });
+        
+        it("should only let the factory deploy through its deployer", async function() {
+            const deployer = await ethers.getContractAt("DEXDeployer", await factory.deployer());
+            expect(await deployer.factory()).to.equal(factory.address);
+            
+            await expect(
+                deployer.deploy(tokenA.address, tokenB.address, owner.address)
+            ).to.be.revertedWith("Only factory");
+        });
+        
+        it("should create pools that accept liquidity and swaps", async function() {
+            await factory.createPair(tokenA.address, tokenB.address);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            
+            await tokenA.approve(pair.address, ethers.utils.parseEther("1000"));
+            await tokenB.approve(pair.address, ethers.utils.parseEther("1000"));
+            await pair.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+            
+            await expect(pair.swapAForB(ethers.utils.parseEther("1")))
+                .to.emit(pair, "Swap");
+            expect(await pair.balanceOf(owner.address)).to.be.gt(0);
+        });
+    });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DEXRouter", function() {
+    let factory, router, tokenA, tokenB, tokenC, tokenD;
+    let poolAB, poolBC;
+    let owner, addr1;
+    let deadline;
+    
+    async function createPool(token0, token1, amount0, amount1) {
+        await factory.createPair(token0.address, token1.address);
+        const pool = await ethers.getContractAt("DEX", await factory.getPair(token0.address, token1.address));
+        
+        await token0.approve(pool.address, amount0);
+        await token1.approve(pool.address, amount1);
+        
+        // Pools store tokens sorted, so pass amounts in the pool's order
+        if ((await pool.tokenA()) === token0.address) {
+            await pool.addLiquidity(amount0, amount1);
+        } else {
+            await pool.addLiquidity(amount1, amount0);
+        }
+        return pool;
+    }
+    
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+        tokenD = await MockERC20.deploy("Token D", "TKD");
+        
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy();
+        
+        const DEXRouter = await ethers.getContractFactory("DEXRouter");
+        router = await DEXRouter.deploy(factory.address);
+        
+        poolAB = await createPool(tokenA, tokenB, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+        poolBC = await createPool(tokenB, tokenC, ethers.utils.parseEther("300"), ethers.utils.parseEther("150"));
+        
+        await tokenA.approve(router.address, ethers.constants.MaxUint256);
+        await tokenC.approve(router.address, ethers.constants.MaxUint256);
+        
+        deadline = (await time.latest()) + 3600;
+    });
+    
+    describe("Quotes", function() {
+        it("should chain getAmountOut across every hop", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const amounts = await router.getAmountsOut(amountIn, [tokenA.address, tokenB.address, tokenC.address]);
+            
+            const [reserveAB_A, reserveAB_B] = await reservesFor(poolAB, tokenA);
+            const hop1 = await poolAB.getAmountOut(amountIn, reserveAB_A, reserveAB_B);
+            const [reserveBC_B, reserveBC_C] = await reservesFor(poolBC, tokenB);
+            const hop2 = await poolBC.getAmountOut(hop1, reserveBC_B, reserveBC_C);
+            
+            expect(amounts.map(String)).to.deep.equal([amountIn, hop1, hop2].map(String));
+        });
+        
+        it("should quote the minimum input for an exact output", async function() {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const amountsIn = await router.getAmountsIn(amountOut, path);
+            
+            expect(amountsIn[2]).to.equal(amountOut);
+            
+            const amountsOut = await router.getAmountsOut(amountsIn[0], path);
+            expect(amountsOut[2]).to.be.gte(amountOut);
+            
+            const amountsOutLess = await router.getAmountsOut(amountsIn[0].sub(1), path);
+            expect(amountsOutLess[2]).to.be.lte(amountOut);
+        });
+        
+        it("should revert on short paths and missing pools", async function() {
+            await expect(
+                router.getAmountsOut(1, [tokenA.address])
+            ).to.be.revertedWith("Invalid path");
+            
+            await expect(
+                router.getAmountsOut(1, [tokenA.address, tokenD.address])
+            ).to.be.revertedWith("Pair does not exist");
+        });
+    });
+    
+    describe("Exact Input Swaps", function() {
+        it("should swap along a multi-hop path", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const amounts = await router.getAmountsOut(amountIn, path);
+            
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            
+            await router.swapExactTokensForTokens(amountIn, amounts[2], path, addr1.address, deadline);
+            
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(amounts[2]);
+            expect(balanceABefore.sub(await tokenA.balanceOf(owner.address))).to.equal(amountIn);
+            expect(await tokenB.balanceOf(router.address)).to.equal(0);
+        });
+        
+        it("should swap in the reverse direction", async function() {
+            const amountIn = ethers.utils.parseEther("5");
+            const path = [tokenC.address, tokenB.address, tokenA.address];
+            const amounts = await router.getAmountsOut(amountIn, path);
+            
+            await router.swapExactTokensForTokens(amountIn, 0, path, addr1.address, deadline);
+            
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(amounts[2]);
+        });
+        
+        it("should emit Swap on every pool in the route", async function() {
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const tx = router.swapExactTokensForTokens(ethers.utils.parseEther("1"), 0, path, owner.address, deadline);
+            
+            await expect(tx).to.emit(poolAB, "Swap");
+            await expect(tx).to.emit(poolBC, "Swap");
+        });
+        
+        it("should revert when the route output is below the minimum", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const amounts = await router.getAmountsOut(amountIn, path);
+            
+            await expect(
+                router.swapExactTokensForTokens(amountIn, amounts[2].add(1), path, owner.address, deadline)
+            ).to.be.revertedWith("Insufficient output amount");
+        });
+        
+        it("should revert after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                router.swapExactTokensForTokens(1000, 0, [tokenA.address, tokenB.address], owner.address, expired)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+    
+    describe("Exact Output Swaps", function() {
+        it("should deliver at least the exact output for the quoted input", async function() {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const amounts = await router.getAmountsIn(amountOut, path);
+            
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            
+            await router.swapTokensForExactTokens(amountOut, amounts[0], path, addr1.address, deadline);
+            
+            expect(await tokenC.balanceOf(addr1.address)).to.be.gte(amountOut);
+            expect(balanceABefore.sub(await tokenA.balanceOf(owner.address))).to.equal(amounts[0]);
+            expect(await tokenB.balanceOf(router.address)).to.equal(0);
+        });
+        
+        it("should revert when the required input exceeds the maximum", async function() {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const amounts = await router.getAmountsIn(amountOut, path);
+            
+            await expect(
+                router.swapTokensForExactTokens(amountOut, amounts[0].sub(1), path, owner.address, deadline)
+            ).to.be.revertedWith("Excessive input amount");
+        });
+        
+        it("should revert after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(
+                router.swapTokensForExactTokens(1000, ethers.constants.MaxUint256, [tokenA.address, tokenB.address], owner.address, expired)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+    
+    describe("Fee-on-transfer Tokens", function() {
+        let feeToken;
+        
+        beforeEach(async function() {
+            // Burns 1% of every transfer
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE");
+            await feeToken.mint(owner.address, ethers.utils.parseEther("1000"));
+            
+            await createPool(tokenA, feeToken, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await createPool(feeToken, tokenC, ethers.utils.parseEther("200"), ethers.utils.parseEther("100"));
+        });
+        
+        it("should route exact-input swaps through a fee-on-transfer token", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, feeToken.address, tokenC.address];
+            const quoted = await router.getAmountsOut(amountIn, path);
+            
+            const amounts = await router.callStatic.swapExactTokensForTokens(amountIn, 0, path, addr1.address, deadline);
+            await router.swapExactTokensForTokens(amountIn, amounts[2], path, addr1.address, deadline);
+            
+            // The second hop spends what arrived after the fee, not the quoted output of the first
+            expect(amounts[1]).to.be.closeTo(quoted[1].mul(99).div(100), 1);
+            expect(amounts[2]).to.be.lt(quoted[2]);
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(amounts[2]);
+            expect(await feeToken.balanceOf(router.address)).to.equal(0);
+        });
+        
+        it("should check the minimum against what the recipient receives", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, feeToken.address];
+            const quoted = await router.getAmountsOut(amountIn, path);
+            
+            await expect(
+                router.swapExactTokensForTokens(amountIn, quoted[1], path, addr1.address, deadline)
+            ).to.be.revertedWith("Insufficient output amount");
+            
+            await router.swapExactTokensForTokens(amountIn, quoted[1].mul(98).div(100), path, addr1.address, deadline);
+            expect(await feeToken.balanceOf(addr1.address)).to.be.closeTo(quoted[1].mul(9801).div(10000), 1);
+        });
+        
+        it("should reject exact-output routes through a fee-on-transfer token", async function() {
+            const path = [tokenA.address, feeToken.address, tokenC.address];
+            
+            await expect(
+                router.swapTokensForExactTokens(ethers.utils.parseEther("1"), ethers.constants.MaxUint256, path, addr1.address, deadline)
+            ).to.be.revertedWith("Output below minimum");
+        });
+    });
+    
+    async function reservesFor(pool, tokenIn) {
+        const [reserveA, reserveB] = await pool.getReserves();
+        return (await pool.tokenA()) === tokenIn.address ? [reserveA, reserveB] : [reserveB, reserveA];
+    }
+});
@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LimitOrderBook", function() {
+    const REWARD = 10; // 0.1% of the output
+    const ONE = ethers.utils.parseEther("1");
+    
+    let dex, book, tokenA, tokenB;
+    let owner, trader, keeper;
+    let expiry;
+    
+    beforeEach(async function() {
+        [owner, trader, keeper] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        
+        const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+        book = await LimitOrderBook.deploy(dex.address, REWARD);
+        
+        await tokenA.mint(trader.address, ethers.utils.parseEther("10000"));
+        await tokenB.mint(trader.address, ethers.utils.parseEther("10000"));
+        for (const spender of [dex, book]) {
+            for (const signer of [owner, trader]) {
+                await tokenA.connect(signer).approve(spender.address, ethers.constants.MaxUint256);
+                await tokenB.connect(signer).approve(spender.address, ethers.constants.MaxUint256);
+            }
+        }
+        
+        // Pool price starts at 2 B per A
+        await dex.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+        expiry = (await time.latest()) + 3600;
+    });
+    
+    describe("Deployment", function() {
+        it("should bind to the pool and its tokens", async function() {
+            expect(await book.dex()).to.equal(dex.address);
+            expect(await book.tokenA()).to.equal(tokenA.address);
+            expect(await book.tokenB()).to.equal(tokenB.address);
+            expect(await book.keeperReward()).to.equal(REWARD);
+        });
+        
+        it("should cap the keeper reward", async function() {
+            const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+            await expect(LimitOrderBook.deploy(dex.address, 101)).to.be.revertedWith("Reward too high");
+            await expect(LimitOrderBook.deploy(ethers.constants.AddressZero, REWARD))
+                .to.be.revertedWith("Invalid pool address");
+        });
+    });
+    
+    describe("Placing Orders", function() {
+        it("should escrow the input tokens and record the order", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const target = ONE.mul(21).div(10);
+            
+            await expect(book.connect(trader).placeOrder(tokenA.address, amountIn, target, expiry))
+                .to.emit(book, "OrderPlaced")
+                .withArgs(1, trader.address, tokenA.address, amountIn, target, expiry);
+            
+            expect(await tokenA.balanceOf(book.address)).to.equal(amountIn);
+            const order = await book.orders(1);
+            expect(order.owner).to.equal(trader.address);
+            expect(order.sellA).to.equal(true);
+            expect(order.status).to.equal(1); // Open
+            expect(order.amountIn).to.equal(amountIn);
+            expect(await book.minAmountOut(1)).to.equal(ethers.utils.parseEther("21"));
+            expect(await book.nextOrderId()).to.equal(2);
+        });
+        
+        it("should validate orders", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            await expect(book.placeOrder(dex.address, amountIn, ONE, expiry)).to.be.revertedWith("Invalid token");
+            await expect(book.placeOrder(tokenA.address, 0, ONE, expiry)).to.be.revertedWith("Amount must be greater than 0");
+            await expect(book.placeOrder(tokenA.address, amountIn, 0, expiry)).to.be.revertedWith("Invalid target price");
+            await expect(book.placeOrder(tokenA.address, amountIn, ONE, await time.latest()))
+                .to.be.revertedWith("Invalid expiry");
+        });
+    });
+    
+    describe("Executing Orders", function() {
+        it("should wait until the pool reaches the target price", async function() {
+            // Sell 10 A for at least 2.1 B each while the pool pays under 2
+            await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE.mul(21).div(10), expiry);
+            expect(await book.isFillable(1)).to.equal(false);
+            await expect(book.connect(keeper).executeOrder(1)).to.be.revertedWith("Output below minimum");
+            
+            // Buying A pushes the price past the target
+            await dex.swapBForA(ethers.utils.parseEther("200"));
+            expect(await dex.getPrice()).to.be.gt(ONE.mul(21).div(10));
+            expect(await book.isFillable(1)).to.equal(true);
+        });
+        
+        it("should not report orders as fillable while the pool is paused", async function() {
+            await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE.mul(21).div(10), expiry);
+            await dex.swapBForA(ethers.utils.parseEther("200"));
+            expect(await book.isFillable(1)).to.equal(true);
+            
+            await dex.pause();
+            expect(await book.isFillable(1)).to.equal(false);
+            await expect(book.connect(keeper).executeOrder(1)).to.be.revertedWith("Pausable: paused");
+            
+            await dex.unpause();
+            expect(await book.isFillable(1)).to.equal(true);
+        });
+        
+        it("should pay the owner and the keeper on execution", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(21).div(10), expiry);
+            await dex.swapBForA(ethers.utils.parseEther("200"));
+            
+            const [quotedOut, quotedReward] = await book.quoteOrder(1);
+            const balanceBefore = await tokenB.balanceOf(trader.address);
+            
+            await expect(book.connect(keeper).executeOrder(1))
+                .to.emit(book, "OrderExecuted")
+                .withArgs(1, keeper.address, quotedOut, quotedReward)
+                .and.to.emit(dex, "Swap");
+            
+            expect((await tokenB.balanceOf(trader.address)).sub(balanceBefore)).to.equal(quotedOut);
+            expect(await tokenB.balanceOf(keeper.address)).to.equal(quotedReward);
+            expect(quotedReward).to.equal(quotedOut.add(quotedReward).mul(REWARD).div(10000));
+            expect(quotedOut).to.be.gte(await book.minAmountOut(1));
+            expect(await tokenA.balanceOf(book.address)).to.equal(0);
+            expect((await book.orders(1)).status).to.equal(2); // Filled
+            
+            await expect(book.executeOrder(1)).to.be.revertedWith("Order not open");
+        });
+        
+        it("should fill orders selling token B once the price falls to the target", async function() {
+            // Buy A at no more than 1.9 B each
+            const amountIn = ethers.utils.parseEther("19");
+            await book.connect(trader).placeOrder(tokenB.address, amountIn, ONE.mul(19).div(10), expiry);
+            expect(await book.minAmountOut(1)).to.equal(ethers.utils.parseEther("10"));
+            expect(await book.isFillable(1)).to.equal(false);
+            
+            await dex.swapAForB(ethers.utils.parseEther("50"));
+            expect(await book.isFillable(1)).to.equal(true);
+            
+            const balanceBefore = await tokenA.balanceOf(trader.address);
+            await book.connect(keeper).executeOrder(1);
+            expect((await tokenA.balanceOf(trader.address)).sub(balanceBefore)).to.be.gte(ethers.utils.parseEther("10"));
+        });
+        
+        it("should have the pool reject swaps that only reach the target before the keeper reward", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE, expiry);
+            const [amountOut, reward] = await book.quoteOrder(1);
+            
+            // Target just above what the owner would receive, but below the pool's output
+            const target = amountOut.add(1).mul(ONE).add(amountIn).sub(1).div(amountIn);
+            await book.connect(trader).placeOrder(tokenA.address, amountIn, target, expiry);
+            expect(await book.minAmountOut(2)).to.be.gt(amountOut);
+            expect(await book.minAmountOut(2)).to.be.lte(amountOut.add(reward));
+            
+            expect(await book.isFillable(2)).to.equal(false);
+            await expect(book.connect(keeper).executeOrder(2)).to.be.revertedWith("Output below minimum");
+        });
+        
+        it("should check what actually arrives for fee-on-transfer output tokens", async function() {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            const feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE");
+            const DEX = await ethers.getContractFactory("DEX");
+            const feePool = await DEX.deploy(tokenA.address, feeToken.address);
+            const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+            const feeBook = await LimitOrderBook.deploy(feePool.address, REWARD);
+            
+            await feeToken.mint(owner.address, ethers.utils.parseEther("2000"));
+            await tokenA.approve(feePool.address, ethers.constants.MaxUint256);
+            await feeToken.approve(feePool.address, ethers.constants.MaxUint256);
+            await feePool.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+            await tokenA.connect(trader).approve(feeBook.address, ethers.constants.MaxUint256);
+            
+            // The pool's output clears the target, but 1% of it is burned on the way to the book
+            const amountIn = ethers.utils.parseEther("10");
+            const [reserveA, reserveB] = await feePool.getReserves();
+            const poolOut = await feePool.getAmountOut(amountIn, reserveA, reserveB);
+            const target = poolOut.mul(9985).div(10000).mul(ONE).div(amountIn);
+            await feeBook.connect(trader).placeOrder(tokenA.address, amountIn, target, expiry);
+            
+            await expect(feeBook.connect(keeper).executeOrder(1)).to.be.revertedWith("Target price not reached");
+        });
+        
+        it("should not execute expired orders", async function() {
+            await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE, expiry);
+            expect(await book.isFillable(1)).to.equal(true);
+            
+            await time.increaseTo(expiry + 1);
+            expect(await book.isFillable(1)).to.equal(false);
+            await expect(book.connect(keeper).executeOrder(1)).to.be.revertedWith("Order expired");
+        });
+    });
+    
+    describe("Cancelling Orders", function() {
+        it("should refund the full amount to the owner", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceBefore = await tokenA.balanceOf(trader.address);
+            await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(3), expiry);
+            
+            await expect(book.connect(trader).cancelOrder(1))
+                .to.emit(book, "OrderCancelled")
+                .withArgs(1, trader.address, amountIn);
+            
+            expect(await tokenA.balanceOf(trader.address)).to.equal(balanceBefore);
+            expect((await book.orders(1)).status).to.equal(3); // Cancelled
+            await expect(book.connect(keeper).executeOrder(1)).to.be.revertedWith("Order not open");
+            await expect(book.connect(trader).cancelOrder(1)).to.be.revertedWith("Order not open");
+        });
+        
+        it("should refund expired orders", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            await book.connect(trader).placeOrder(tokenB.address, amountIn, ONE, expiry);
+            await time.increaseTo(expiry + 1);
+            
+            const balanceBefore = await tokenB.balanceOf(trader.address);
+            await book.connect(trader).cancelOrder(1);
+            expect((await tokenB.balanceOf(trader.address)).sub(balanceBefore)).to.equal(amountIn);
+        });
+        
+        it("should only let the owner cancel", async function() {
+            await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE.mul(3), expiry);
+            await expect(book.connect(keeper).cancelOrder(1)).to.be.revertedWith("Not order owner");
+        });
+        
+        it("should keep other orders' escrow intact", async function() {
+            const amountIn = ethers.utils.parseEther("10");
+            await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(3), expiry);
+            await book.placeOrder(tokenA.address, amountIn.mul(2), ONE, expiry);
+            
+            await book.connect(keeper).executeOrder(2);
+            await book.connect(trader).cancelOrder(1);
+            expect(await tokenA.balanceOf(book.address)).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,285 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("StableSwapDEX", function() {
+    const AMP = 100n * 100n; // A = 100, scaled by AMP_PRECISION
+    const DAY = 24 * 60 * 60;
+    
+    let stable, dex, tokenA, tokenB;
+    let owner, addr1;
+    
+    async function deployStable(amp = AMP) {
+        const StableSwapDEX = await ethers.getContractFactory("StableSwapDEX");
+        const pool = await StableSwapDEX.deploy(tokenA.address, tokenB.address, amp);
+        await tokenA.approve(pool.address, ethers.constants.MaxUint256);
+        await tokenB.approve(pool.address, ethers.constants.MaxUint256);
+        return pool;
+    }
+    
+    function missingRole(account, role) {
+        return `AccessControl: account ${account.toLowerCase()} is missing role ${role}`;
+    }
+    
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        stable = await deployStable();
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+        await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+        
+        // Both pools hold the same pegged balances
+        const seed = ethers.utils.parseEther("100000");
+        await stable.addLiquidity(seed, seed);
+        await dex.addLiquidity(seed, seed);
+    });
+    
+    describe("Deployment", function() {
+        it("should set the amplification coefficient", async function() {
+            expect(await stable.getAmp()).to.equal(AMP);
+            expect(await stable.initialAmp()).to.equal(AMP);
+            expect(await stable.futureAmp()).to.equal(AMP);
+        });
+        
+        it("should reject an invalid amplification coefficient", async function() {
+            const StableSwapDEX = await ethers.getContractFactory("StableSwapDEX");
+            await expect(StableSwapDEX.deploy(tokenA.address, tokenB.address, 0))
+                .to.be.revertedWith("Invalid amplification");
+            await expect(StableSwapDEX.deploy(tokenA.address, tokenB.address, 10n ** 8n + 1n))
+                .to.be.revertedWith("Invalid amplification");
+        });
+    });
+    
+    describe("Slippage", function() {
+        it("should give less slippage than the constant product pool for pegged balances", async function() {
+            const reserves = await stable.getReserves();
+            for (const amount of ["100", "1000", "10000", "50000"]) {
+                const amountIn = ethers.utils.parseEther(amount);
+                const stableOut = await stable.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+                const productOut = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+                expect(stableOut).to.be.gt(productOut);
+            }
+        });
+        
+        it("should keep a 10% trade within the fee of the peg", async function() {
+            const amountIn = ethers.utils.parseEther("10000");
+            const stableOut = await stable.callStatic.swapAForB(amountIn);
+            const productOut = await dex.callStatic.swapAForB(amountIn);
+            
+            // 0.3% fee plus well under 0.1% slippage, against roughly 9% on the constant product curve
+            expect(stableOut).to.be.gt(amountIn.mul(9960).div(10000));
+            expect(productOut).to.be.lt(amountIn.mul(9100).div(10000));
+        });
+        
+        it("should reduce slippage as the amplification grows", async function() {
+            const lowAmp = await deployStable(1n * 100n);
+            const highAmp = await deployStable(1000n * 100n);
+            const seed = ethers.utils.parseEther("100000");
+            await lowAmp.addLiquidity(seed, seed);
+            await highAmp.addLiquidity(seed, seed);
+            
+            const amountIn = ethers.utils.parseEther("20000");
+            const lowOut = await lowAmp.getAmountOut(amountIn, seed, seed);
+            const midOut = await stable.getAmountOut(amountIn, seed, seed);
+            const highOut = await highAmp.getAmountOut(amountIn, seed, seed);
+            const productOut = await dex.getAmountOut(amountIn, seed, seed);
+            
+            expect(lowOut).to.be.gt(productOut);
+            expect(midOut).to.be.gt(lowOut);
+            expect(highOut).to.be.gt(midOut);
+        });
+        
+        it("should price steeply once the pool is far from the peg", async function() {
+            // Selling most of the B reserve makes further A -> B trades expensive
+            await stable.swapAForB(ethers.utils.parseEther("500000"));
+            const reserves = await stable.getReserves();
+            expect(reserves._reserveB).to.be.lt(ethers.utils.parseEther("10000"));
+            
+            const amountIn = ethers.utils.parseEther("1000");
+            const amountOut = await stable.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            expect(amountOut).to.be.lt(amountIn.div(10));
+        });
+    });
+    
+    describe("Curve Math", function() {
+        it("should quote the price at the peg and follow the pool away from it", async function() {
+            expect(await stable.getPrice()).to.be.closeTo(ethers.utils.parseEther("1"), 1);
+            
+            await stable.swapAForB(ethers.utils.parseEther("50000"));
+            const price = await stable.getPrice();
+            expect(price).to.be.lt(ethers.utils.parseEther("1"));
+            
+            // The marginal price matches the rate of a small trade before fees
+            const reserves = await stable.getReserves();
+            const amountIn = ethers.utils.parseEther("1");
+            const amountOut = await stable.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+            const rateBeforeFee = amountOut.mul(ethers.utils.parseEther("1")).mul(10000).div(9970).div(amountIn);
+            expect(rateBeforeFee).to.be.closeTo(price, price.div(100000));
+        });
+        
+        it("should quote inputs that always cover the requested output", async function() {
+            const reserves = await stable.getReserves();
+            for (const amount of ["0.000001", "1", "999", "25000", "99000"]) {
+                const amountOut = ethers.utils.parseEther(amount);
+                const amountIn = await stable.getAmountIn(amountOut, reserves._reserveA, reserves._reserveB);
+                expect(await stable.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB))
+                    .to.be.gte(amountOut);
+                expect(await stable.getAmountOut(amountIn.sub(amountIn.div(1000)).sub(2), reserves._reserveA, reserves._reserveB))
+                    .to.be.lt(amountOut);
+            }
+        });
+        
+        it("should not return more than was put in on a round trip", async function() {
+            const amountIn = ethers.utils.parseEther("30000");
+            const balanceBefore = await tokenA.balanceOf(owner.address);
+            
+            const amountOut = await stable.callStatic.swapAForB(amountIn);
+            await stable.swapAForB(amountIn);
+            await stable.swapBForA(amountOut);
+            
+            expect(await tokenA.balanceOf(owner.address)).to.be.lt(balanceBefore);
+        });
+        
+        it("should accept flash swaps repaid along the curve", async function() {
+            const Mode = { Repay: 0, RepayInOther: 1, Underpay: 2 };
+            const MockFlashSwapReceiver = await ethers.getContractFactory("MockFlashSwapReceiver");
+            const receiver = await MockFlashSwapReceiver.deploy(stable.address);
+            await tokenA.mint(receiver.address, ethers.utils.parseEther("1000"));
+            
+            const amountBOut = ethers.utils.parseEther("500");
+            await expect(receiver.flash(0, amountBOut, Mode.RepayInOther)).to.emit(stable, "FlashSwap");
+            await expect(receiver.flash(ethers.utils.parseEther("10"), 0, Mode.Underpay))
+                .to.be.revertedWith("K invariant violated");
+        });
+        
+        it("should reject a flash swap that leaves either side empty", async function() {
+            const MockStableSwapDEX = await ethers.getContractFactory("MockStableSwapDEX");
+            const pool = await MockStableSwapDEX.deploy(tokenA.address, tokenB.address, AMP);
+            await tokenA.approve(pool.address, ethers.constants.MaxUint256);
+            await tokenB.approve(pool.address, ethers.constants.MaxUint256);
+            await pool.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+            
+            // Fee-adjusted balances below one unit round down to zero
+            const feeDenominator = await pool.FEE_DENOMINATOR();
+            const large = ethers.utils.parseEther("1000").mul(feeDenominator);
+            expect(await pool.invariantHolds(feeDenominator.sub(1), large)).to.be.false;
+            expect(await pool.invariantHolds(large, 0)).to.be.false;
+            expect(await pool.invariantHolds(large, large)).to.be.true;
+        });
+    });
+    
+    describe("DEX Interface", function() {
+        it("should emit the same events as DEX", async function() {
+            const amountIn = ethers.utils.parseEther("100");
+            const amountOut = await stable.callStatic.swapBForA(amountIn);
+            await expect(stable.swapBForA(amountIn))
+                .to.emit(stable, "Swap")
+                .withArgs(owner.address, tokenB.address, tokenA.address, amountIn, amountOut);
+            
+            const amount = ethers.utils.parseEther("10");
+            await expect(stable.addLiquidityWithSlippage(amount, amount.mul(2), 0, 0, (await time.latest()) + 60))
+                .to.emit(stable, "LiquidityAdded");
+            
+            const shares = await stable.balanceOf(owner.address);
+            await expect(stable.removeLiquidity(shares.div(2)))
+                .to.emit(stable, "LiquidityRemoved");
+        });
+        
+        it("should enforce slippage limits with the stable quote", async function() {
+            const amountIn = ethers.utils.parseEther("1000");
+            const amountOut = await stable.callStatic.swapAForB(amountIn);
+            const deadline = (await time.latest()) + 60;
+            
+            await expect(stable.swapAForBWithSlippage(amountIn, amountOut.add(1), deadline))
+                .to.be.revertedWith("Output below minimum");
+            await expect(stable.swapAForBWithSlippage(amountIn, amountOut, deadline))
+                .to.emit(stable, "Swap");
+        });
+        
+        it("should zap a single token into both sides", async function() {
+            const amountIn = ethers.utils.parseEther("1000");
+            const supplyBefore = await stable.totalSupply();
+            const reservesBefore = await stable.getReserves();
+            const balanceA = await tokenA.balanceOf(owner.address);
+            
+            await stable.zapIn(tokenA.address, amountIn, 0, (await time.latest()) + 60);
+            
+            // Nearly all of the input ends up in the pool
+            const spent = balanceA.sub(await tokenA.balanceOf(owner.address));
+            expect(spent).to.be.gt(amountIn.mul(99).div(100));
+            const minted = (await stable.totalSupply()).sub(supplyBefore);
+            expect(minted.mul(reservesBefore._reserveA).div(supplyBefore)).to.be.gt(amountIn.mul(49).div(100));
+        });
+        
+        it("should track the stable price in the TWAP oracle", async function() {
+            await stable.swapAForB(ethers.utils.parseEther("50000"));
+            const price = await stable.getPrice();
+            await time.increase(3600);
+            await stable.sync();
+            
+            expect(await stable.consult(3000)).to.be.closeTo(price, price.div(1000));
+        });
+    });
+    
+    describe("Amplification Ramp", function() {
+        it("should move the amplification linearly over the ramp", async function() {
+            const start = await time.latest();
+            const target = 200n * 100n;
+            await expect(stable.rampAmp(target, start + 10 * DAY))
+                .to.emit(stable, "AmpRampStarted");
+            
+            await time.increaseTo(start + 5 * DAY);
+            expect(await stable.getAmp()).to.be.closeTo(150n * 100n, 1);
+            
+            await time.increaseTo(start + 11 * DAY);
+            expect(await stable.getAmp()).to.equal(target);
+        });
+        
+        it("should ramp down as well as up", async function() {
+            const start = await time.latest();
+            await stable.rampAmp(50n * 100n, start + 2 * DAY);
+            
+            await time.increaseTo(start + DAY);
+            expect(await stable.getAmp()).to.be.closeTo(75n * 100n, 1);
+        });
+        
+        it("should stop a ramp at the current value", async function() {
+            const start = await time.latest();
+            await stable.rampAmp(300n * 100n, start + 4 * DAY);
+            await time.increaseTo(start + DAY);
+            
+            await expect(stable.stopRampAmp()).to.emit(stable, "AmpRampStopped");
+            const frozen = await stable.getAmp();
+            expect(frozen).to.be.closeTo(150n * 100n, 1);
+            
+            await time.increase(10 * DAY);
+            expect(await stable.getAmp()).to.equal(frozen);
+        });
+        
+        it("should validate ramps", async function() {
+            const now = await time.latest();
+            await expect(stable.rampAmp(200n * 100n, now + 60)).to.be.revertedWith("Ramp too short");
+            await expect(stable.rampAmp(1001n * 100n, now + 2 * DAY)).to.be.revertedWith("Amp change too large");
+            await expect(stable.rampAmp(9n * 100n, now + 2 * DAY)).to.be.revertedWith("Amp change too large");
+            await expect(stable.rampAmp(0, now + 2 * DAY)).to.be.revertedWith("Invalid amplification");
+            
+            await stable.rampAmp(200n * 100n, now + 2 * DAY);
+            await expect(stable.rampAmp(300n * 100n, now + 4 * DAY)).to.be.revertedWith("Ramp too frequent");
+        });
+        
+        it("should only let the admin change the amplification", async function() {
+            const DEFAULT_ADMIN_ROLE = await stable.DEFAULT_ADMIN_ROLE();
+            await expect(stable.connect(addr1).rampAmp(200n * 100n, (await time.latest()) + 2 * DAY))
+                .to.be.revertedWith(missingRole(addr1.address, DEFAULT_ADMIN_ROLE));
+            await expect(stable.connect(addr1).stopRampAmp())
+                .to.be.revertedWith(missingRole(addr1.address, DEFAULT_ADMIN_ROLE));
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployDex } = require("../scripts/lib/deployer");
+
+const { ethers } = hre;
+
+describe("Deployment", function() {
+    let manifestFile;
+    
+    function deploy(options = {}) {
+        return deployDex(hre, { manifest: manifestFile, log: () => {}, ...options });
+    }
+    
+    beforeEach(function() {
+        manifestFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "dex-deploy-")), "manifest.json");
+    });
+    
+    afterEach(function() {
+        fs.rmSync(path.dirname(manifestFile), { recursive: true, force: true });
+    });
+    
+    it("should deploy mocks, factory, router and pool and write the manifest", async function() {
+        const manifest = await deploy({ deployMocks: true, seedLiquidity: false });
+        
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(Object.keys(manifest.contracts)).to.deep.equal(["TokenA", "TokenB", "DEXFactory", "DEXRouter", "DEX"]);
+        expect(JSON.parse(fs.readFileSync(manifestFile, "utf8"))).to.deep.equal(manifest);
+        
+        for (const entry of Object.values(manifest.contracts)) {
+            const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+            expect(receipt.blockNumber).to.equal(entry.blockNumber);
+            expect(await ethers.provider.getCode(entry.address)).to.not.equal("0x");
+        }
+        
+        const { TokenA, DEXFactory, DEXRouter, DEX } = manifest.contracts;
+        expect(TokenA.args).to.deep.equal(["Token A", "TKA"]);
+        expect(DEXRouter.args).to.deep.equal([DEXFactory.address]);
+        
+        const factory = await ethers.getContractAt("DEXFactory", DEXFactory.address);
+        expect(await factory.getPair(...DEX.args)).to.equal(DEX.address);
+        const pool = await ethers.getContractAt("DEX", DEX.address);
+        expect(await pool.tokenA()).to.equal(DEX.args[0]);
+        expect(await pool.totalSupply()).to.equal(0);
+        expect(manifest).to.not.have.property("seedLiquidity");
+    });
+    
+    it("should be idempotent when run again", async function() {
+        const first = await deploy({ deployMocks: true });
+        const blockNumber = await ethers.provider.getBlockNumber();
+        
+        const second = await deploy({ deployMocks: true });
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        expect(second).to.deep.equal(first);
+    });
+    
+    it("should redeploy contracts that are missing from the chain", async function() {
+        await deploy({ deployMocks: true, seedLiquidity: false });
+        const stale = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+        stale.contracts.DEXRouter.address = ethers.Wallet.createRandom().address;
+        fs.writeFileSync(manifestFile, JSON.stringify(stale));
+        
+        const manifest = await deploy({ deployMocks: true, seedLiquidity: false });
+        expect(manifest.contracts.DEXRouter.address).to.not.equal(stale.contracts.DEXRouter.address);
+        expect(manifest.contracts.DEXFactory).to.deep.equal(stale.contracts.DEXFactory);
+        expect(await ethers.provider.getCode(manifest.contracts.DEXRouter.address)).to.not.equal("0x");
+    });
+    
+    it("should use existing token addresses without deploying mocks", async function() {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const tokenA = await MockERC20.deploy("Token A", "TKA");
+        const tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const manifest = await deploy({ tokenA: tokenA.address, tokenB: tokenB.address, deployMocks: false });
+        expect(manifest.contracts).to.not.have.property("TokenA");
+        expect(manifest.contracts).to.not.have.property("TokenB");
+        expect([...manifest.contracts.DEX.args].sort()).to.deep.equal([tokenA.address, tokenB.address].sort());
+    });
+    
+    it("should record a pair that already exists on a reused factory", async function() {
+        const first = await deploy({ deployMocks: true, seedLiquidity: false });
+        const stale = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+        delete stale.contracts.DEX;
+        fs.writeFileSync(manifestFile, JSON.stringify(stale));
+        
+        const manifest = await deploy({ deployMocks: true, seedLiquidity: false });
+        expect(manifest.contracts.DEX).to.deep.equal(first.contracts.DEX);
+    });
+    
+    it("should require token addresses when mocks are disabled", async function() {
+        await expect(deploy({ deployMocks: false })).to.be.rejectedWith("No tokenA configured");
+        await expect(deploy({ tokenA: "0x1234", deployMocks: false })).to.be.rejectedWith("Invalid tokenA address");
+    });
+    
+    it("should seed initial liquidity only once", async function() {
+        const manifest = await deploy({ deployMocks: true, seedLiquidity: { amountA: "100", amountB: "250" } });
+        const pool = await ethers.getContractAt("DEX", manifest.contracts.DEX.address);
+        
+        // Amounts follow the configured token order even though the pool sorts its tokens
+        const [reserveA, reserveB] = await pool.getReserves();
+        const aIsTokenA = (await pool.tokenA()) === manifest.contracts.TokenA.address;
+        const expectedA = ethers.utils.parseEther(aIsTokenA ? "100" : "250");
+        const expectedB = ethers.utils.parseEther(aIsTokenA ? "250" : "100");
+        expect(reserveA).to.equal(expectedA);
+        expect(reserveB).to.equal(expectedB);
+        expect(manifest.seedLiquidity.amountA).to.equal(expectedA.toString());
+        
+        const supply = await pool.totalSupply();
+        const again = await deploy({ deployMocks: true, seedLiquidity: { amountA: "100", amountB: "250" } });
+        expect(await pool.totalSupply()).to.equal(supply);
+        expect(again.seedLiquidity).to.deep.equal(manifest.seedLiquidity);
+    });
+    
+    it("should refuse a manifest from another chain", async function() {
+        fs.writeFileSync(manifestFile, JSON.stringify({ network: "sepolia", chainId: 11155111, contracts: {} }));
+        await expect(deploy({ deployMocks: true })).to.be.rejectedWith("belongs to chain 11155111");
+    });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const path = require("path");
+const {
+    SCENARIOS,
+    compareGas,
+    formatReport,
+    loadBaseline
+} = require("../scripts/lib/gasBenchmark");
+
+describe("Gas Benchmark", function() {
+    const baseline = { "swapAForB: small": 100000, "removeLiquidity: full": 80000, "sync": 50000 };
+    
+    it("should flag only increases beyond the threshold", async function() {
+        const results = { "swapAForB: small": 101500, "removeLiquidity: full": 82000, "sync": 49000 };
+        const { rows, regressions } = compareGas(baseline, results, 2);
+        
+        expect(rows.map((row) => row.status)).to.deep.equal(["ok", "regression", "improved"]);
+        expect(regressions).to.have.length(1);
+        expect(regressions[0]).to.include({ name: "removeLiquidity: full", baseline: 80000, gas: 82000, diff: 2000 });
+        expect(regressions[0].percent).to.equal(2.5);
+    });
+    
+    it("should report new and removed entry points without failing", async function() {
+        const results = { "swapAForB: small": 100000, "sync": 50000, "zapIn": 200000 };
+        const comparison = compareGas(baseline, results);
+        
+        expect(comparison.regressions).to.be.empty;
+        expect(comparison.rows.find((row) => row.name === "zapIn").status).to.equal("new");
+        expect(comparison.missing).to.deep.equal(["removeLiquidity: full"]);
+    });
+    
+    it("should render a readable diff table", async function() {
+        const report = formatReport(compareGas(baseline, { "swapAForB: small": 110000, "sync": 50000 }));
+        const lines = report.split("\n");
+        
+        expect(lines[0]).to.match(/^Entry point\s+Baseline\s+Current\s+Diff\s+%$/);
+        expect(lines.find((line) => line.startsWith("swapAForB: small"))).to.match(/100000\s+110000\s+\+10000\s+\+10\.00\s+REGRESSION$/);
+        expect(lines.find((line) => line.startsWith("removeLiquidity: full"))).to.match(/REMOVED$/);
+    });
+    
+    it("should have a committed baseline entry for every scenario", async function() {
+        const committed = loadBaseline(path.join(__dirname, "..", "benchmarks", "gas-baseline.json"));
+        expect(Object.keys(committed)).to.deep.equal(SCENARIOS.map((scenario) => scenario.name));
+    });
+});
@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PoolIndexer, JsonStore, queries } = require("../indexer");
+
+describe("Indexer", function() {
+    let dex, tokenA, tokenB;
+    let owner, addr1;
+    let storeFile, startBlock;
+    
+    function newIndexer(options = {}) {
+        return new PoolIndexer(ethers.provider, dex.address, new JsonStore(storeFile), { startBlock, ...options });
+    }
+    
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        startBlock = dex.deployTransaction.blockNumber;
+        
+        await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
+        await tokenB.mint(addr1.address, ethers.utils.parseEther("1000"));
+        for (const signer of [owner, addr1]) {
+            await tokenA.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+        }
+        
+        await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+        
+        storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "dex-indexer-")), "pool.json");
+    });
+    
+    afterEach(function() {
+        fs.rmSync(path.dirname(storeFile), { recursive: true, force: true });
+    });
+    
+    describe("Indexing", function() {
+        it("should record every pool event and block snapshot", async function() {
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            await dex.removeLiquidity(ethers.utils.parseEther("10"));
+            
+            const indexer = newIndexer();
+            const result = await indexer.sync();
+            
+            expect(result.reorgedFrom).to.be.null;
+            expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+            const names = indexer.data.events.filter((e) => e.event !== "Transfer").map((e) => e.event);
+            expect(names).to.deep.equal(["LiquidityAdded", "Swap", "LiquidityRemoved"]);
+            
+            // The last snapshot matches the live pool
+            const [reserveA, reserveB] = await dex.getReserves();
+            const series = queries.reserveSeries(indexer.data);
+            expect(series).to.have.length(3);
+            expect(series[2].reserveA).to.equal(reserveA.toBigInt());
+            expect(series[2].reserveB).to.equal(reserveB.toBigInt());
+            expect(series[2].price).to.equal((await dex.getPrice()).toBigInt());
+            expect(series[1].price).to.be.lessThan(series[0].price);
+        });
+        
+        it("should persist progress and resume from the last indexed block", async function() {
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            const first = await newIndexer().sync();
+            
+            await dex.swapBForA(ethers.utils.parseEther("5"));
+            
+            // A fresh indexer on the same store only scans the new blocks
+            const indexer = newIndexer();
+            const second = await indexer.sync();
+            expect(second.fromBlock).to.equal(first.toBlock + 1);
+            expect(second.newEvents).to.equal(1);
+            expect(indexer.data.events.filter((e) => e.event === "Swap")).to.have.length(2);
+            
+            const reloaded = new JsonStore(storeFile).load();
+            expect(reloaded.lastBlock).to.equal(second.toBlock);
+            expect(reloaded.events[reloaded.events.length - 1].amountIn).to.equal(ethers.utils.parseEther("5").toBigInt());
+        });
+        
+        it("should match a single pass when indexed in small batches", async function() {
+            for (let i = 0; i < 3; i++) {
+                await dex.swapAForB(ethers.utils.parseEther("1"));
+            }
+            
+            const batched = newIndexer({ batchSize: 2 });
+            await batched.sync();
+            const single = new PoolIndexer(ethers.provider, dex.address, { load: () => null, save: () => {} }, { startBlock });
+            await single.sync();
+            
+            expect(batched.data.events).to.deep.equal(single.data.events);
+            expect(batched.data.blocks).to.deep.equal(single.data.blocks);
+        });
+        
+        it("should stay behind the head by the configured confirmations", async function() {
+            await dex.swapAForB(ethers.utils.parseEther("1"));
+            const indexer = newIndexer({ confirmations: 1 });
+            const result = await indexer.sync();
+            
+            expect(result.toBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+            expect(indexer.data.events.filter((e) => e.event === "Swap")).to.have.length(0);
+        });
+        
+        it("should reject a store written for another pool", async function() {
+            await newIndexer().sync();
+            const other = new PoolIndexer(ethers.provider, tokenA.address, new JsonStore(storeFile));
+            await expect(other.sync()).to.be.rejectedWith("Store belongs to a different pool");
+        });
+    });
+    
+    describe("Reorgs", function() {
+        it("should drop orphaned events and re-index the new chain", async function() {
+            const forkBlock = (await ethers.provider.getBlockNumber()) + 1;
+            const snapshot = await network.provider.send("evm_snapshot");
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            await dex.swapAForB(ethers.utils.parseEther("20"));
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            expect(indexer.data.events.filter((e) => e.event === "Swap")).to.have.length(2);
+            
+            // Replace the two swaps with a different one at the same height
+            await network.provider.send("evm_revert", [snapshot]);
+            await dex.swapBForA(ethers.utils.parseEther("7"));
+            
+            const result = await newIndexer().sync();
+            expect(result.reorgedFrom).to.equal(forkBlock);
+            
+            const data = new JsonStore(storeFile).load();
+            const swaps = data.events.filter((e) => e.event === "Swap");
+            expect(swaps).to.have.length(1);
+            expect(swaps[0].tokenIn).to.equal(tokenB.address);
+            expect(swaps[0].amountIn).to.equal(ethers.utils.parseEther("7").toBigInt());
+            expect(data.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            
+            const [reserveA] = await dex.getReserves();
+            const series = queries.reserveSeries(data);
+            expect(series[series.length - 1].reserveA).to.equal(reserveA.toBigInt());
+        });
+        
+        it("should keep blocks that survived the reorg", async function() {
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            const snapshot = await network.provider.send("evm_snapshot");
+            await dex.swapAForB(ethers.utils.parseEther("20"));
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            
+            await network.provider.send("evm_revert", [snapshot]);
+            await dex.swapBForA(ethers.utils.parseEther("3"));
+            
+            const result = await newIndexer().sync();
+            expect(result.reorgedFrom).to.equal(await ethers.provider.getBlockNumber());
+            
+            const swaps = new JsonStore(storeFile).load().events.filter((e) => e.event === "Swap");
+            expect(swaps.map((s) => s.amountIn)).to.deep.equal([
+                ethers.utils.parseEther("10").toBigInt(),
+                ethers.utils.parseEther("3").toBigInt()
+            ]);
+        });
+    });
+    
+    describe("Queries", function() {
+        it("should report deposits and withdrawals per liquidity provider", async function() {
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("20"));
+            const lp = await dex.balanceOf(addr1.address);
+            await dex.connect(addr1).removeLiquidity(lp.div(2));
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            
+            expect(queries.liquidityProviders(indexer.data)).to.deep.equal([owner.address, addr1.address]);
+            const activity = queries.lpActivity(indexer.data, addr1.address);
+            expect(activity.deposits).to.have.length(1);
+            expect(activity.withdrawals).to.have.length(1);
+            expect(activity.depositedA).to.equal(ethers.utils.parseEther("10").toBigInt());
+            expect(activity.depositedB).to.equal(ethers.utils.parseEther("20").toBigInt());
+            expect(activity.withdrawals[0].liquidity).to.equal(lp.div(2).toBigInt());
+            expect(activity.withdrawnA).to.equal(ethers.utils.parseEther("5").toBigInt());
+            expect(activity.deposits[0].timestamp).to.be.a("number");
+        });
+        
+        it("should split LP fees pro rata and net out the protocol fee", async function() {
+            // addr1 owns 1/3 of the pool after this deposit
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("50"), ethers.utils.parseEther("100"));
+            await dex.setFeeRecipient(owner.address);
+            await dex.setProtocolFeeShare(2000);
+            
+            const amountIn = ethers.utils.parseEther("30").toBigInt();
+            await dex.swapAForB(amountIn);
+            await dex.connect(addr1).swapBForA(amountIn);
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            const fees = queries.feesEarned(indexer.data);
+            
+            // 0.3% fee, of which 20% goes to the protocol
+            const lpFee = amountIn * 30n / 10000n - amountIn * 30n * 2000n / 10n ** 8n;
+            const supply = (await dex.totalSupply()).toBigInt();
+            const share = (await dex.balanceOf(addr1.address)).toBigInt();
+            expect(fees.get(addr1.address).feesA).to.equal(lpFee * share / supply);
+            expect(fees.get(addr1.address).feesB).to.equal(lpFee * share / supply);
+            
+            const total = [...fees.values()].reduce((sum, f) => sum + f.feesA, 0n);
+            expect(total).to.be.closeTo(lpFee, 3n);
+        });
+        
+        it("should count flash swap fees in LP earnings", async function() {
+            // addr1 owns 1/3 of the pool after this deposit
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("50"), ethers.utils.parseEther("100"));
+            await dex.setFeeRecipient(owner.address);
+            await dex.setProtocolFeeShare(2000);
+            
+            const MockFlashSwapReceiver = await ethers.getContractFactory("MockFlashSwapReceiver");
+            const receiver = await MockFlashSwapReceiver.deploy(dex.address);
+            await tokenA.mint(receiver.address, ethers.utils.parseEther("10"));
+            await tokenB.mint(receiver.address, ethers.utils.parseEther("10"));
+            await receiver.flash(ethers.utils.parseEther("10"), ethers.utils.parseEther("20"), 0); // Mode.Repay
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            const [flash] = indexer.data.events.filter((e) => e.event === "FlashSwap");
+            expect(flash.to).to.equal(receiver.address);
+            expect(flash.amountAOut).to.equal(ethers.utils.parseEther("10").toBigInt());
+            expect(flash.amountBIn).to.be.greaterThan(ethers.utils.parseEther("20").toBigInt());
+            
+            const lpFee = (amountIn) => amountIn * 30n / 10000n - amountIn * 30n * 2000n / 10n ** 8n;
+            const supply = (await dex.totalSupply()).toBigInt();
+            const share = (await dex.balanceOf(addr1.address)).toBigInt();
+            const fees = queries.feesEarned(indexer.data);
+            expect(fees.get(addr1.address).feesA).to.equal(lpFee(flash.amountAIn) * share / supply);
+            expect(fees.get(addr1.address).feesB).to.equal(lpFee(flash.amountBIn) * share / supply);
+            
+            // The protocol's share matches what the pool set aside
+            expect(flash.amountAIn * 30n * 2000n / 10n ** 8n).to.equal((await dex.protocolFeesA()).toBigInt());
+        });
+        
+        it("should refuse fee shares for a store that starts after the first mint", async function() {
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            const from = await ethers.provider.getBlockNumber() + 1;
+            await dex.transfer(addr1.address, ethers.utils.parseEther("1"));
+            await dex.removeLiquidity(ethers.utils.parseEther("1"));
+            
+            const indexer = newIndexer({ startBlock: from });
+            await indexer.sync();
+            expect(indexer.data.initialSupply).to.equal((await dex.totalSupply()).toBigInt() + ethers.utils.parseEther("1").toBigInt());
+            expect(queries.lpActivity(indexer.data, owner.address).withdrawals).to.have.length(1);
+            expect(() => queries.feesEarned(indexer.data)).to.throw("Store starts after the pool's first mint");
+            
+            // Indexing from the deployment block records no earlier supply
+            storeFile = path.join(path.dirname(storeFile), "from-deploy.json");
+            const full = newIndexer();
+            await full.sync();
+            expect(full.data.initialSupply).to.equal(0n);
+            expect(queries.feesEarned(full.data).get(owner.address).feesA).to.be.greaterThan(0n);
+        });
+        
+        it("should follow LP tokens when they are transferred", async function() {
+            const amountIn = ethers.utils.parseEther("10").toBigInt();
+            await dex.swapAForB(amountIn);
+            await dex.transfer(addr1.address, await dex.balanceOf(owner.address));
+            await dex.swapAForB(amountIn);
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            const fees = queries.feesEarned(indexer.data);
+            
+            const supply = (await dex.totalSupply()).toBigInt();
+            const held = (await dex.balanceOf(addr1.address)).toBigInt();
+            expect(fees.get(owner.address).feesA).to.equal(amountIn * 30n / 10000n * held / supply);
+            expect(fees.get(addr1.address).feesA).to.equal(fees.get(owner.address).feesA);
+        });
+        
+        it("should bucket swap volume by period", async function() {
+            const day = 86400;
+            await time.increaseTo(Math.ceil(((await time.latest()) + 1) / day) * day);
+            await dex.swapAForB(ethers.utils.parseEther("10"));
+            await dex.swapBForA(ethers.utils.parseEther("4"));
+            await time.increase(day);
+            await dex.swapAForB(ethers.utils.parseEther("1"));
+            
+            const indexer = newIndexer();
+            await indexer.sync();
+            const periods = queries.volumeByPeriod(indexer.data, day);
+            const swaps = indexer.data.events.filter((e) => e.event === "Swap");
+            
+            expect(periods).to.have.length(2);
+            expect(periods[1].periodStart - periods[0].periodStart).to.equal(day);
+            expect(periods[0].swaps).to.equal(2);
+            expect(periods[0].volumeA).to.equal(ethers.utils.parseEther("10").toBigInt() + swaps[1].amountOut);
+            expect(periods[0].volumeB).to.equal(swaps[0].amountOut + ethers.utils.parseEther("4").toBigInt());
+            expect(periods[1].swaps).to.equal(1);
+            expect(() => queries.volumeByPeriod(indexer.data, 0)).to.throw("Invalid period");
+        });
+    });
+});
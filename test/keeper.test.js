@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LimitOrderKeeper } = require("../scripts/lib/keeper");
+
+describe("Limit order keeper", function() {
+    const ONE = ethers.utils.parseEther("1");
+    
+    let dex, book, tokenA, tokenB, keeper;
+    let owner, trader, keeperSigner;
+    let expiry;
+    
+    beforeEach(async function() {
+        [owner, trader, keeperSigner] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        
+        const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+        book = await LimitOrderBook.deploy(dex.address, 10);
+        
+        await tokenA.mint(trader.address, ethers.utils.parseEther("10000"));
+        await tokenB.mint(trader.address, ethers.utils.parseEther("10000"));
+        for (const spender of [dex, book]) {
+            for (const signer of [owner, trader]) {
+                await tokenA.connect(signer).approve(spender.address, ethers.constants.MaxUint256);
+                await tokenB.connect(signer).approve(spender.address, ethers.constants.MaxUint256);
+            }
+        }
+        
+        await dex.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+        expiry = (await time.latest()) + 3600;
+        
+        keeper = new LimitOrderKeeper(book.connect(keeperSigner));
+    });
+    
+    it("should find and execute only the fillable orders", async function() {
+        await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE, expiry);
+        await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE.mul(3), expiry);
+        await book.connect(trader).placeOrder(tokenB.address, ethers.utils.parseEther("10"), ONE, expiry);
+        
+        expect(await keeper.fillableOrders()).to.deep.equal([1]);
+        
+        const executed = await keeper.executeFillable();
+        expect(executed.map((result) => result.orderId)).to.deep.equal([1]);
+        expect(executed[0].reward).to.equal((await tokenB.balanceOf(keeperSigner.address)).toBigInt());
+        expect((await book.orders(1)).status).to.equal(2);
+        
+        expect(await keeper.executeFillable()).to.deep.equal([]);
+    });
+    
+    it("should stop checking orders once they are filled, cancelled or expired", async function() {
+        const amountIn = ethers.utils.parseEther("10");
+        await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE, expiry);
+        await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(3), (await time.latest()) + 60);
+        await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(3), expiry);
+        await book.connect(trader).placeOrder(tokenA.address, amountIn, ONE.mul(3), expiry);
+        
+        expect(await keeper.fillableOrders()).to.deep.equal([1]);
+        expect([...keeper.open.keys()]).to.deep.equal([1, 2, 3, 4]);
+        
+        // Another keeper fills order 1, the owner cancels order 4 and order 2 expires
+        await book.executeOrder(1);
+        await book.connect(trader).cancelOrder(4);
+        await time.increase(120);
+        await book.connect(trader).placeOrder(tokenB.address, amountIn, ONE, expiry);
+        
+        expect(await keeper.fillableOrders()).to.deep.equal([]);
+        expect([...keeper.open.keys()]).to.deep.equal([3, 5]);
+    });
+    
+    it("should skip orders another keeper filled first", async function() {
+        await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE, expiry);
+        const messages = [];
+        keeper.log = (message) => messages.push(message);
+        
+        const [orderId] = await keeper.fillableOrders();
+        await book.executeOrder(orderId);
+        
+        keeper.fillableOrders = async () => [orderId];
+        expect(await keeper.executeFillable()).to.deep.equal([]);
+        expect(messages[0]).to.match(/Order 1 not executed: .*Order not open/);
+    });
+    
+    it("should execute orders when a swap moves the pool to their target", async function() {
+        // A provider of our own, so it can poll for events faster than the default 4 seconds
+        const provider = new ethers.providers.Web3Provider(network.provider);
+        provider.pollingInterval = 50;
+        const watched = new LimitOrderKeeper(book.connect(provider.getSigner(keeperSigner.address)));
+        
+        // Sells 10 A once the pool pays at least 2.1 B each
+        await book.connect(trader).placeOrder(tokenA.address, ethers.utils.parseEther("10"), ONE.mul(21).div(10), expiry);
+        const watcher = watched.watch(dex.connect(provider));
+        
+        try {
+            await watcher.idle();
+            expect((await book.orders(1)).status).to.equal(1);
+            
+            const executed = new Promise((resolve) => watched.orderBook.once("OrderExecuted", resolve));
+            await dex.swapBForA(ethers.utils.parseEther("200"));
+            let timer;
+            await Promise.race([
+                executed,
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error("Order was not executed")), 10000);
+                })
+            ]).finally(() => clearTimeout(timer));
+            
+            await watcher.idle();
+            expect((await book.orders(1)).status).to.equal(2);
+            expect(await tokenB.balanceOf(keeperSigner.address)).to.be.gt(0);
+        } finally {
+            await watcher.stop();
+            provider.removeAllListeners();
+        }
+    });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DexClient, math } = require("../sdk");
+
+// Small deterministic PRNG so failures are reproducible
+function mulberry32(seed) {
+    return function() {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Random BigInt between 1 and 10^maxDigits, spread across magnitudes
+function randomAmount(rand, maxDigits) {
+    const digits = 1 + Math.floor(rand() * maxDigits);
+    let value = 0n;
+    for (let i = 0; i < digits; i++) {
+        value = value * 10n + BigInt(Math.floor(rand() * 10));
+    }
+    return value + 1n;
+}
+
+describe("SDK", function() {
+    const SAMPLES = 40;
+    let dex, tokenA, tokenB;
+    let owner, addr1;
+    let client;
+    
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        
+        client = new DexClient(dex.address, owner);
+    });
+    
+    describe("Off-chain math", function() {
+        it("should match getAmountOut exactly across random inputs", async function() {
+            const rand = mulberry32(1);
+            for (let i = 0; i < SAMPLES; i++) {
+                const amountIn = randomAmount(rand, 30);
+                const reserveIn = randomAmount(rand, 30);
+                const reserveOut = randomAmount(rand, 30);
+                
+                const onChain = await dex.getAmountOut(amountIn, reserveIn, reserveOut);
+                expect(math.getAmountOut(amountIn, reserveIn, reserveOut)).to.equal(onChain.toBigInt());
+            }
+        });
+        
+        it("should match getAmountOut for non-default swap fees", async function() {
+            const rand = mulberry32(2);
+            for (const fee of [0n, 5n, 100n]) {
+                await dex.setSwapFee(fee);
+                for (let i = 0; i < SAMPLES / 4; i++) {
+                    const amountIn = randomAmount(rand, 24);
+                    const reserveIn = randomAmount(rand, 24);
+                    const reserveOut = randomAmount(rand, 24);
+                    
+                    const onChain = await dex.getAmountOut(amountIn, reserveIn, reserveOut);
+                    expect(math.getAmountOut(amountIn, reserveIn, reserveOut, fee)).to.equal(onChain.toBigInt());
+                }
+            }
+        });
+        
+        it("should match getAmountIn exactly across random inputs", async function() {
+            const rand = mulberry32(3);
+            for (let i = 0; i < SAMPLES; i++) {
+                const reserveIn = randomAmount(rand, 30);
+                const reserveOut = randomAmount(rand, 30) + 1n;
+                const amountOut = 1n + (randomAmount(rand, 30) % (reserveOut - 1n));
+                
+                const onChain = await dex.getAmountIn(amountOut, reserveIn, reserveOut);
+                expect(math.getAmountIn(amountOut, reserveIn, reserveOut)).to.equal(onChain.toBigInt());
+            }
+        });
+        
+        it("should match the sqrt used for first-deposit liquidity", async function() {
+            const rand = mulberry32(4);
+            await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+            
+            for (let i = 0; i < SAMPLES; i++) {
+                const amountA = 1000n + randomAmount(rand, 24);
+                const amountB = 1000n + randomAmount(rand, 24);
+                if (math.sqrt(amountA * amountB) <= math.MINIMUM_LIQUIDITY) continue;
+                
+                const onChain = await dex.callStatic.addLiquidity(amountA, amountB);
+                expect(math.liquidityMinted(amountA, amountB, 0n, 0n, 0n)).to.equal(onChain.toBigInt());
+            }
+        });
+        
+        it("should compute exact integer square roots", async function() {
+            const rand = mulberry32(5);
+            expect(math.sqrt(0n)).to.equal(0n);
+            expect(math.sqrt(3n)).to.equal(1n);
+            for (let i = 0; i < SAMPLES; i++) {
+                const y = randomAmount(rand, 70);
+                const root = math.sqrt(y);
+                expect(root * root <= y).to.be.true;
+                expect((root + 1n) * (root + 1n) > y).to.be.true;
+            }
+        });
+        
+        it("should mirror the contract's revert reasons", async function() {
+            expect(() => math.getAmountOut(0n, 1n, 1n)).to.throw("Insufficient input amount");
+            expect(() => math.getAmountOut(1n, 0n, 1n)).to.throw("Insufficient liquidity");
+            expect(() => math.getAmountIn(10n, 100n, 10n)).to.throw("Insufficient liquidity");
+        });
+        
+        it("should apply slippage tolerance and price impact in basis points", async function() {
+            expect(math.applySlippage(10000n, 50)).to.equal(9950n);
+            expect(math.applySlippage(10000n, 0)).to.equal(10000n);
+            expect(() => math.applySlippage(1n, 10001)).to.throw("Invalid slippage");
+            
+            // A tiny trade only pays the fee; a trade of half the reserve moves the price by a third
+            const reserve = ethers.utils.parseEther("1000").toBigInt();
+            const small = 10n ** 12n;
+            expect(math.priceImpactBps(small, math.getAmountOut(small, reserve, reserve), reserve, reserve)).to.equal(30n);
+            const large = reserve / 2n;
+            const impact = math.priceImpactBps(large, math.getAmountOut(large, reserve, reserve), reserve, reserve);
+            expect(impact).to.be.within(3340n, 3360n);
+        });
+    });
+    
+    describe("DexClient", function() {
+        beforeEach(async function() {
+            await client.addLiquidity(ethers.utils.parseEther("100").toBigInt(), ethers.utils.parseEther("200").toBigInt());
+        });
+        
+        it("should read pool state as BigInt", async function() {
+            const state = await client.getPoolState();
+            expect(state.reserveA).to.equal(ethers.utils.parseEther("100").toBigInt());
+            expect(state.reserveB).to.equal(ethers.utils.parseEther("200").toBigInt());
+            expect(state.totalSupply).to.equal((await dex.totalSupply()).toBigInt());
+            expect(state.swapFee).to.equal(30n);
+        });
+        
+        it("should approve only when the allowance is insufficient", async function() {
+            const amount = ethers.utils.parseEther("1").toBigInt();
+            expect(await client.ensureAllowance(tokenA.address, amount)).to.not.be.null;
+            expect(await tokenA.allowance(owner.address, dex.address)).to.equal(amount);
+            expect(await client.ensureAllowance(tokenA.address, amount)).to.be.null;
+        });
+        
+        it("should swap for exactly the quoted amount in both directions", async function() {
+            const amountIn = ethers.utils.parseEther("5").toBigInt();
+            
+            const quoteA = await client.quoteSwap(tokenA.address, amountIn);
+            const { events } = await client.swap(tokenA.address, amountIn);
+            expect(events).to.have.length(1);
+            expect(events[0]).to.include({
+                event: "Swap",
+                trader: owner.address,
+                tokenIn: tokenA.address,
+                tokenOut: tokenB.address,
+                amountIn,
+                amountOut: quoteA.amountOut
+            });
+            
+            const quoteB = await client.quoteSwap(tokenB.address, amountIn);
+            const balanceBefore = await tokenA.balanceOf(owner.address);
+            await client.swap(tokenB.address, amountIn);
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceBefore)).to.equal(quoteB.amountOut);
+        });
+        
+        it("should protect swaps with the slippage tolerance", async function() {
+            const amountIn = ethers.utils.parseEther("5").toBigInt();
+            const quote = await client.quoteSwap(tokenA.address, amountIn, 100);
+            expect(quote.minAmountOut).to.equal(quote.amountOut * 9900n / 10000n);
+            
+            // Another trader moves the price between quote and execution
+            await tokenA.transfer(addr1.address, ethers.utils.parseEther("50"));
+            await new DexClient(dex.address, addr1).swap(tokenA.address, ethers.utils.parseEther("50").toBigInt());
+            
+            await tokenA.approve(dex.address, amountIn);
+            await expect(
+                dex.swapAForBWithSlippage(amountIn, quote.minAmountOut, (await ethers.provider.getBlock("latest")).timestamp + 60)
+            ).to.be.revertedWith("Output below minimum");
+        });
+        
+        it("should reject tokens outside the pool", async function() {
+            await expect(client.quoteSwap(owner.address, 1n)).to.be.rejectedWith("Invalid token");
+        });
+        
+        it("should add and remove liquidity for the quoted amounts", async function() {
+            const desiredA = ethers.utils.parseEther("10").toBigInt();
+            const desiredB = ethers.utils.parseEther("50").toBigInt();
+            
+            const addQuote = await client.quoteAddLiquidity(desiredA, desiredB);
+            expect(addQuote.amountB).to.equal(ethers.utils.parseEther("20").toBigInt());
+            const added = await client.addLiquidity(desiredA, desiredB);
+            expect(added.events[0]).to.include({
+                event: "LiquidityAdded",
+                provider: owner.address,
+                amountA: addQuote.amountA,
+                amountB: addQuote.amountB,
+                liquidity: addQuote.liquidity
+            });
+            
+            const removeQuote = await client.quoteRemoveLiquidity(addQuote.liquidity);
+            const removed = await client.removeLiquidity(addQuote.liquidity);
+            expect(removed.events[0]).to.include({
+                event: "LiquidityRemoved",
+                provider: owner.address,
+                amountA: removeQuote.amountA,
+                amountB: removeQuote.amountB,
+                liquidity: addQuote.liquidity
+            });
+        });
+        
+        it("should decode events from raw logs and ignore other events", async function() {
+            await client.swap(tokenA.address, ethers.utils.parseEther("1").toBigInt());
+            const logs = await ethers.provider.getLogs({ address: dex.address, fromBlock: 0 });
+            
+            // Logs also include Transfer and Approval from the LP token, which are skipped
+            const events = client.decodeEvents(logs);
+            expect(events.map((e) => e.event)).to.deep.equal(["LiquidityAdded", "Swap"]);
+            expect(events[1].blockNumber).to.be.a("number");
+            expect(events[1].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+        });
+        
+        it("should require a signer for transactions", async function() {
+            const readOnly = new DexClient(dex.address, ethers.provider);
+            expect((await readOnly.getPoolState()).reserveA).to.equal(ethers.utils.parseEther("100").toBigInt());
+            await expect(readOnly.swap(tokenA.address, 1n)).to.be.rejectedWith("Signer required");
+        });
+    });
+});